@@ -1,6 +1,9 @@
 'use strict';
 
 const _             = require('lodash');
+const fs            = require('fs');
+const os            = require('os');
+const path          = require('path');
 const EventEmitter  = require('events');
 const process       = require('process');
 const childProcess  = require('child_process');
@@ -8,61 +11,321 @@ const childProcess  = require('child_process');
 const async         = require('async');
 const moment        = require('moment');
 const weather       = require('weather-js');
-const linuxBattery  = require('linux-battery');
 const mpdCmd        = require('mpd').cmd;
 
 const util          = require('./util');
 const config        = require('./config');
 const clients       = require('./clients');
+const format        = require('./format');
+const Threshold     = require('./threshold').Threshold;
+const notify        = require('./notify');
+const Marquee       = require('./marquee').Marquee;
+const wm            = require('./wm');
+const updates       = require('./updates');
+const ipc           = require('./ipc');
 
 // Allow more listeners
 process.setMaxListeners(0);
 
+// Number of blocks created so far, per class
+let blockCounts = {};
+
+// Settings which only matter to the bar, which rebuilds blocks for them
+const LAYOUT_KEYS = ['layout', 'modes', 'mode'];
+
 
 // Abstract block
 // Emits 'update' events
 // Output should be stored in this._output
-// Updates on SIGUSR1 if class name is in blocks to be updated
+// Only updates between start() and stop(), so blocks in inactive modes are idle
+// Each instance has an id, used to update it or trigger its action externally
+// Errors, whether emitted or thrown from update(), action() or callbacks
+// wrapped with _guard(), only break this block until it next updates
+// Text is rendered from templates with named fields, per state; see
+// lib/format.js and _template()
+// Numeric blocks color their output by alert level; see _level()
+// Blocks with a single state can notify when it changes; see _transition()
 class Block extends EventEmitter {
   constructor() {
     super();
     this._output = ` ${config.get('strLoading')} `;
+    this.active = false;
 
-    // Update on SIGUSR1
-    process.on('SIGUSR1', () => {
-      util.getUpdateBlocks((err, blocks) => {
-        if (err) {
-          this.emit('error', err);
-          return;
-        }
+    let name = this.constructor.name;
+    blockCounts[name] = (blockCounts[name] || 0) + 1;
+    this.id = `${name}-${blockCounts[name]}`;
+
+    // Listeners and timers to tear down on stop()
+    this._listeners = [];
+    this._timers = [];
+
+    // When notifications were last sent, by state
+    this._notified = {};
+
+    this.on('error', this._failed.bind(this));
+    if (this.update)
+      this.update = this._guard(this.update);
+    if (this.action)
+      this.action = this._guard(this.action);
+  }
+
+  // Wrap a callback so anything it throws is emitted as an error
+  _guard(callback) {
+    return (...args) => {
+      try {
+        return callback.apply(this, args);
+      } catch (e) {
+        this.emit('error', e);
+      }
+    };
+  }
+
+  // Log the error, show it in place of the block and try again later
+  _failed(err) {
+    let message = err && err.message || String(err);
+    if (message !== this._lastError)
+      util.logError(`${this.id}: ${err && err.stack || message}`);
+    this._lastError = message;
+
+    // Save previous output
+    let prev = this._output;
+
+    this._output = util.addAction(util.addBG(` ${config.get('strError')} `, 'cUrgent'),
+        null, null, [this.id]);
+
+    if (prev !== this._output)
+      this.emit('update');
 
-        if (blocks.indexOf(this.constructor.name) > -1)
-          this.update();
+    if (this.active && !this._retry) {
+      this._after(config.get('errorRetryTimeout'), () => {
+        this._retry = false;
+        this.update();
       });
+      this._retry = true;
+    }
+  }
+
+  // Default templates, by state
+  // Blocks add their own to these
+  _formats() {
+    return {
+      disconnected: ' {strDisconnected} '
+    };
+  }
+
+  // The template for a state, from this.format (set in the layout), the
+  // formats setting for this type of block, or the block's defaults
+  // Each is either a template for every state, or { state: template },
+  // with default for states without their own
+  _template(state) {
+    let layers = [
+      this.format,
+      (config.get('formats') || {})[this.constructor.name],
+      this._formats()
+    ].filter(Boolean).map((formats) => {
+      return typeof formats === 'string' ? {default: formats} : formats;
     });
 
-    // Action on SIGUSR2
-    process.on('SIGUSR2', () => {
-      util.getUpdateBlocks((err, blocks) => {
-        if (err) {
-          this.emit('error', err);
-          return;
-        }
+    for (let key of [state, 'default']) {
+      for (let formats of layers) {
+        if (formats[key] !== undefined)
+          return formats[key];
+      }
+    }
 
-        if (blocks.indexOf(this.constructor.name) > -1)
-          this.action();
-      });
+    return '';
+  }
+
+  // Render the template for a state with fields = { name: value }
+  _render(state, fields) {
+    return format.render(this._template(state), fields);
+  }
+
+  // Default alert levels; see lib/threshold.js
+  _thresholds() {
+    return {};
+  }
+
+  // The alert level for a value, or null to clear it: null, 'warn',
+  // 'critical' or 'blink'
+  // Levels are the block's defaults, overridden by the thresholds setting
+  // for this type of block, then by this.thresholds (set in the layout)
+  _level(value) {
+    let levels = Object.assign({}, this._thresholds(),
+        (config.get('thresholds') || {})[this.constructor.name], this.thresholds);
+
+    // Changed levels start over
+    if (!this._threshold || !_.isEqual(levels, this._threshold.levels))
+      this._threshold = new Threshold(levels);
+
+    let level = this._threshold.update(value);
+    this._blink(level === 'blink');
+    return level;
+  }
+
+  // Color output by the alert level from _level(), flashing for blink
+  // Applies to the whole output, so should be done last
+  _alert(text) {
+    let level = this._threshold && this._threshold.name();
+    if (!level)
+      return text;
+
+    let alerted = util.addBG(text, level === 'warn' ? 'cWarn' : 'cUrgent');
+    this._blinkFrame = {on: alerted, off: text};
+    return alerted;
+  }
+
+  // Default notifications, by the state which sends them
+  _notifications() {
+    return {};
+  }
+
+  // Remember the state the block is in, notifying when it changes
+  // Notifications are { summary, body, urgency }, or just a summary, with
+  // templates filled in from fields. They come from the block's defaults,
+  // overridden by the notifications setting for this type of block, then
+  // by this.notifications (set in the layout), and are only sent with the
+  // notify setting, at most once per notifyInterval for each block and
+  // state, so e.g. critical still follows warn
+  _transition(state, fields) {
+    let prev = this.state;
+    this.state = state;
+
+    if (state === prev || !config.get('notify'))
+      return;
+
+    let n = Object.assign({}, this._notifications(),
+        (config.get('notifications') || {})[this.constructor.name], this.notifications)[state];
+    if (!n)
+      return;
+    if (typeof n === 'string')
+      n = {summary: n};
+
+    let now = Date.now(),
+        last = this._notified[state];
+    if (last && now - last < config.get('notifyInterval'))
+      return;
+    this._notified[state] = now;
+
+    notify.send({
+      summary:  format.render(n.summary, fields, true),
+      body:     n.body && format.render(n.body, fields, true),
+      urgency:  n.urgency
     });
   }
 
+  // Start or stop flashing
+  _blink(on) {
+    if (on && !this._blinkTimer) {
+      this._blinkTimer = this._every(config.get('blinkInterval'), () => {
+        this._blinkOff = !this._blinkOff;
+        this.emit('update');
+      });
+    } else if (!on && this._blinkTimer) {
+      this._clear(this._blinkTimer);
+      this._blinkTimer = null;
+      this._blinkOff = false;
+    }
+  }
+
   // Should update block output state and emit an 'update' event
   // abstract update();
 
   // A block-specific action
   // abstract action();
 
-  query() {
-    return this._output ? util.addBG(util.toggleAttr(this._output, 'u'), 'cBG') : '';
+  // Begin updating
+  start() {
+    this.active = true;
+
+    // Pick up new colors and formats
+    this._listen(config, 'change', this._configChanged.bind(this));
+  }
+
+  // Called with the changed keys when configuration changes
+  // Changes to _restartKeys() start the block over, and others redraw it
+  // Blocks the bar stopped for the same change are left alone
+  _configChanged(keys) {
+    if (!this.active)
+      return;
+
+    keys = _.difference(keys, LAYOUT_KEYS);
+    if (_.intersection(keys, this._restartKeys()).length) {
+      this.stop();
+      this.start();
+    } else if (keys.length) {
+      this._redraw();
+    }
+  }
+
+  // Settings read by start(), e.g. intervals
+  _restartKeys() {
+    return [];
+  }
+
+  // Show the current settings
+  // Blocks which fetch what they show slowly or with side effects, e.g. by
+  // running commands, render what they last fetched instead
+  _redraw() {
+    this.update();
+  }
+
+  // Stop updating and release all listeners and timers
+  stop() {
+    this.active = false;
+    this._retry = false;
+
+    this._listeners.forEach((l) => {
+      l.emitter.removeListener(l.event, l.callback);
+    });
+    this._listeners = [];
+
+    this._timers.forEach(clearTimeout);
+    this._timers = [];
+    this._blinkTimer = null;
+    this._blinkOff = false;
+  }
+
+  // Listen to an emitter until stopped
+  _listen(emitter, event, callback) {
+    emitter.on(event, callback);
+    this._listeners.push({emitter: emitter, event: event, callback: callback});
+  }
+
+  // Call back after a delay, unless stopped first
+  _after(delay, callback) {
+    let timer = setTimeout(callback, delay);
+    this._timers.push(timer);
+    return timer;
+  }
+
+  // Cancel a timer from _after() or _every(), if any
+  _clear(timer) {
+    clearTimeout(timer);
+    _.pull(this._timers, timer);
+  }
+
+  // Call back on an interval until stopped
+  _every(interval, callback) {
+    let timer = setInterval(callback, interval);
+    this._timers.push(timer);
+    return timer;
+  }
+
+  // Output to show on a monitor, for blocks which differ between monitors
+  // output is an i3 output name, or undefined for all monitors
+  _outputFor(output) {
+    return this._output;
+  }
+
+  query(output) {
+    let text = this._outputFor(output);
+
+    // Off half of a flash
+    if (this._blinkOff && this._blinkFrame && text === this._blinkFrame.on)
+      text = this._blinkFrame.off;
+
+    return text ? util.addBG(util.toggleAttr(text, 'u'), 'cBG') : '';
   }
 }
 
@@ -95,10 +358,25 @@ class ExpandableBlock extends Block {
     this.maxText = maxText || '+';
     this.buttonOnRight = !!buttonOnRight;
     this.expanded = !!startsExpanded;
+  }
+
+  // Start child blocks along with this one
+  start() {
+    super.start();
 
     // Update whenever one of the child blocks updates
     this.blocks.forEach((block) => {
-      block.on('update', this.update.bind(this));
+      this._listen(block, 'update', this.update.bind(this));
+      block.start();
+    });
+
+    this.update();
+  }
+
+  stop() {
+    super.stop();
+    this.blocks.forEach((block) => {
+      block.stop();
     });
   }
 
@@ -115,7 +393,7 @@ class ExpandableBlock extends Block {
     // Color and text according to expanded
     let button = util.addBG(util.toggleAttr(util.addAction(
           ` ${this.expanded ? this.minText : this.maxText} `, null, null,
-          [this.constructor.name], true
+          [this.id], true
         ), 'u'), this.expanded ? 'cAccent' : 'cBG');
 
     // Decide whether or not to show child blocks
@@ -158,6 +436,14 @@ class AnimatedExpandableBlock extends ExpandableBlock {
     this.update();
   }
 
+  // Skip to the end of any animation
+  stop() {
+    super.stop();
+    if (this.interval)
+      clearInterval(this.interval);
+    this.expanding = false;
+  }
+
   update() {
     // Save previous output
     let prev = this._output;
@@ -165,7 +451,7 @@ class AnimatedExpandableBlock extends ExpandableBlock {
     // Color and text according to expanded
     let button = util.addBG(util.toggleAttr(util.addAction(
           ` ${this.expanded ? this.minText : this.maxText} `, null, null,
-          [this.constructor.name], true
+          [this.id], true
         ), 'u'), this.expanded ? 'cAccent' : 'cBG');
 
     // Concatenate child blocks
@@ -185,14 +471,14 @@ class AnimatedExpandableBlock extends ExpandableBlock {
       if (this.interval)
         clearInterval(this.interval);
 
-      let animFunc = () => {
+      let animFunc = this._guard(() => {
         this.index = util.nextAnimationIdx(animArr, this.index, !this.expanded);
         if (this.expanded && this.index >= animArr.length || this.index <= 0) {
           clearInterval(this.interval);
           this.expanding = false;
         }
         this.update();
-      };
+      });
 
       animFunc();
       this.interval = setInterval(animFunc, config.get('animFrameLen'));
@@ -223,21 +509,78 @@ class AnimatedExpandableBlock extends ExpandableBlock {
   }
 }
 
+// Button which asks the bar to switch to another mode
+class ModeBlock extends Block {
+  constructor(mode, text) {
+    super();
+    this.mode = mode;
+    this.text = text || mode;
+  }
+
+  start() {
+    super.start();
+    this.update();
+  }
+
+  // Switch modes
+  action() {
+    this.emit('mode', this.mode);
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {text} '});
+  }
+
+  update() {
+    // Save previous output
+    let prev = this._output;
+
+    this._output = util.addAction(this._render('default', {
+      mode: this.mode,
+      text: this.text
+    }), null, null, [this.id], true);
+
+    if (prev !== this._output)
+      this.emit('update');
+  }
+}
+
+
 // Abstract block which updates at intervals
+// interval is in ms, or the name of a setting holding it, which then takes
+// effect when settings change
 class IntervalBlock extends Block {
   constructor(interval, delay) {
     super();
+    this.interval = interval;
 
     // Default for delay
-    delay = delay || 0;
+    this.delay = delay || 0;
+  }
+
+  // Delay before the first interval, measured from start()
+  _delay() {
+    return this.delay;
+  }
+
+  _interval() {
+    return typeof this.interval === 'string' ? config.get(this.interval) : this.interval;
+  }
+
+  _restartKeys() {
+    return typeof this.interval === 'string' ? [this.interval] : [];
+  }
+
+  start() {
+    super.start();
 
     // Wait until the delay
-    setTimeout(() => {
+    this._after(this._delay(), () => {
       this.update();
 
       // Set an interval to update on the interval
-      setInterval(this.update.bind(this), interval);
-    }, delay);
+      this._every(this._interval(), this.update.bind(this));
+    });
 
     // Update once initially
     this.update();
@@ -246,11 +589,44 @@ class IntervalBlock extends Block {
 
 
 // Abstract block which updates via an event emitter
+// client is an emitter, or the name of one of the shared clients in
+// lib/clients.js, which is only fetched (and so started) in start()
+// For supervised clients, shows when the client is down and catches up
+// when it is back
 class EventBlock extends Block {
-  constructor(emitter) {
+  constructor(client) {
     super();
-    this.emitter = emitter;
+    this.client = client;
+    this.emitter = typeof client === 'string' ? null : client;
+    this._disconnected = this._guard(this._disconnected);
+  }
+
+  start() {
+    if (typeof this.client === 'string')
+      this.emitter = clients[this.client];
+
+    super.start();
+
+    this._listen(this.emitter, 'connected', this.update.bind(this));
+    this._listen(this.emitter, 'disconnected', this._disconnected.bind(this));
+
     this._do_registration();
+
+    if (this.emitter.connected === false)
+      this._disconnected();
+  }
+
+  // Show that the client is down
+  _disconnected() {
+    // Save previous output
+    let prev = this._output;
+
+    this._output = util.addBG(this._render('disconnected', {
+      strDisconnected: config.get('strDisconnected')
+    }), 'cUrgent');
+
+    if (prev !== this._output)
+      this.emit('update');
   }
 
   // Here is where all callback registration should be done
@@ -259,19 +635,19 @@ class EventBlock extends Block {
   // Registers a this.update to the emitter for each event
   _register(events) {
     for (let e of events)
-      this.emitter.on(e, this.update.bind(this));
+      this._listen(this.emitter, e, this.update.bind(this));
 
-    // Update once initially - needs to be here in case of a
-    // ready callback
+    // Update once initially
     this.update();
   }
 }
 
 
-// Abstract block which updates via an i3 ipc connection
+// Abstract block which updates via the window manager: i3's ipc connection,
+// sway's, or EWMH properties (see lib/wm.js)
 class I3Block extends EventBlock {
   constructor() {
-    super(clients.i3);
+    super('wm');
   }
 }
 
@@ -279,7 +655,7 @@ class I3Block extends EventBlock {
 // Abstract block which updates via an acpi connection
 class AcpiBlock extends EventBlock {
   constructor() {
-    super(clients.acpi);
+    super('acpi');
   }
 }
 
@@ -287,7 +663,7 @@ class AcpiBlock extends EventBlock {
 // Abstract block which updates via an mpd connection
 class MpdBlock extends EventBlock {
   constructor() {
-    super(clients.mpd);
+    super('mpd');
   }
 }
 
@@ -295,20 +671,32 @@ class MpdBlock extends EventBlock {
 // Updates time once a minute, on the minute
 class DatetimeBlock extends IntervalBlock {
   constructor() {
+    super(60 * 1000);
+  }
+
+  // Wait until the next minute
+  _delay() {
     let m = moment();
-    let delay =(60 * 1000) -
+    return (60 * 1000) -
       (m.millisecond() + m.second() * 1000) +
       config.get('fudgeTimeout');
-    super(60 * 1000, delay);
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {datetime} '});
   }
 
   update() {
     // Save previous output
     let prev = this._output;
 
-    this._output = ` ${
-      moment().locale(config.get('dtLocale')).format(config.get('dtFmt'))
-    } `;
+    let m = moment().locale(config.get('dtLocale'));
+    this._output = this._render('default', {
+      datetime: m.format(config.get('dtFmt')),
+      date:     m.format('L'),
+      time:     m.format('LT'),
+      weekday:  m.format('dddd')
+    });
 
     if (prev !== this._output)
       this.emit('update');
@@ -318,13 +706,20 @@ class DatetimeBlock extends IntervalBlock {
 
 class WeatherBlock extends IntervalBlock {
   constructor(search, degreeType) {
-    super(config.get('weatherInterval'));
+    super('weatherInterval');
     this.params = {
       search: search,
       degreeType: degreeType
     };
   }
 
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:  ' {feelslike}; {skytext} ',
+      offline:  ' 無天気 '
+    });
+  }
+
   update() {
     if (!this.params)
       return;
@@ -332,25 +727,52 @@ class WeatherBlock extends IntervalBlock {
     this._output = ' … ';
     this.emit('update');
 
-    weather.find(this.params, (err, data) => {
-      // Save previous output
-      let prev = this._output;
+    weather.find(this.params, this._guard((err, data) => {
+      this.weather = {err: err, data: data};
+      this._show();
+    }));
+  }
 
-      // Err means no connection
-      if (err) {
-        this._output = util.addAction(util.addBG(' 無天気 ', 'cUrgent'), null, null, [this.constructor.name]);
-      } else {
-        let w = data[0];
-        let url = `http://a.msn.com/54/en-US/ct${w.location.lat},${w.location.long}?ctsrc=outlook`;
-        let output = ` ${w.current.feelslike}; ${w.current.skytext} `;
-        let action = `xdg-open "${url}"`;
-
-        this._output = util.addAction(output, action);
-      }
+  // Weather is fetched over the network
+  _redraw() {
+    if (this.weather)
+      this._show();
+  }
 
-      if (prev !== this._output)
-        this.emit('update');
-    });
+  // Show the last weather
+  _show() {
+    // Save previous output
+    let prev = this._output,
+        err = this.weather.err,
+        data = this.weather.data;
+
+    // Err means no connection
+    if (err) {
+      this._transition('offline', {});
+      this._output = util.addAction(util.addBG(this._render('offline', {}), 'cUrgent'),
+          null, null, [this.id]);
+    } else {
+      let w = data[0];
+      let url = `http://a.msn.com/54/en-US/ct${w.location.lat},${w.location.long}?ctsrc=outlook`;
+      let fields = {
+        location:     w.location.name,
+        temperature:  w.current.temperature,
+        feelslike:    w.current.feelslike,
+        skytext:      w.current.skytext,
+        humidity:     w.current.humidity,
+        wind:         w.current.winddisplay,
+        degreetype:   w.location.degreetype
+      };
+      this._transition('default', fields);
+
+      let output = this._render('default', fields);
+      let action = `xdg-open "${url}"`;
+
+      this._output = util.addAction(output, action);
+    }
+
+    if (prev !== this._output)
+      this.emit('update');
   }
 }
 
@@ -358,20 +780,35 @@ class WeatherBlock extends IntervalBlock {
 class ProcBlock extends IntervalBlock {
   // procMap = { process: displayAs }
   constructor(procMap, interval) {
-    super(interval || config.get('refreshFreq'));
+    super(interval || 'refreshFreq');
     this.procMap = procMap;
   }
 
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {name} '});
+  }
+
   update() {
-    async.parallel(_.pairs(this.procMap).map((kvs) => {
+    async.parallel(_.toPairs(this.procMap).map((kvs) => {
       return (cb) => {
-        let process   = kvs[0],
-            displayAs = ` ${kvs[1] || process} `;
-        childProcess.spawn('pgrep', ['-x', process]).on('close', (code) => {
-          cb(null, code ? util.addBG(displayAs, 'cUrgent', 'cBG') : displayAs);
-        });
+        let process = kvs[0],
+            name    = kvs[1] || process;
+
+        // Failing to run pgrep also closes it
+        cb = _.once(cb);
+        childProcess.spawn('pgrep', ['-x', process]).on('error', cb).on('close', this._guard((code) => {
+          let fields = {name: name, process: process};
+          cb(null, code ?
+            util.addBG(this._render('stopped', fields), 'cUrgent', 'cBG') :
+            this._render('running', fields));
+        }));
+      }
+    }), this._guard((err, results) => {
+      if (err) {
+        this.emit('error', err);
+        return;
       }
-    }), (err, results) => {
+
       // Save previous output
       let prev = this._output;
 
@@ -379,95 +816,194 @@ class ProcBlock extends IntervalBlock {
 
       if (prev !== this._output)
         this.emit('update');
-    });
+    }));
   }
 }
 
 
-// Updates once an hour
-class YumUpdateBlock extends IntervalBlock {
-  constructor() {
-    super(config.get('yumUpdateFreq'));
+// Parses the output of a user command: its first line, or with json,
+// { text, color, background, urgent, click }
+// click is a command for button 1, or { button: command }
+function parseCommandOutput(out, json) {
+  if (!json)
+    return {text: out.split('\n')[0].trim()};
+
+  let result = JSON.parse(out);
+  if (typeof result.click === 'string')
+    result.click = {1: result.click};
+  return result;
+}
+
+// Formats parsed command output for a command block
+// Fields are text and, with json, any other keys printed
+// Buttons without a click command go to the block's action(button)
+function formatCommandOutput(block, result) {
+  if (!result.text)
+    return '';
+
+  let output = block._render(result.urgent ? 'urgent' : 'default',
+      _.omit(result, 'click'));
+
+  if (result.color)
+    output = `%{F${result.color}}${output}%{F-}`;
+  if (result.urgent)
+    output = util.addBG(output, 'cUrgent');
+  else if (result.background)
+    output = `%{B${result.background}}${output}%{B-}`;
+
+  block.buttons.forEach((button) => {
+    let click = (result.click || {})[button];
+    output = click ?
+      util.addAction(output, click, button, [block.id]) :
+      util.addBlockAction(output, block.id, button, [button]);
+  });
+
+  return output;
+}
+
+
+// Shows the output of a shell command, run every interval
+// options = { interval, json, buttons }
+// Clicks run the command again with BLOCK_BUTTON set, like i3blocks
+class CommandBlock extends IntervalBlock {
+  constructor(command, options) {
+    options = options || {};
+    super(options.interval || 'refreshFreq');
+    this.command = command;
+    this.json = !!options.json;
+    this.buttons = options.buttons || config.get('commandButtons');
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {text} '});
   }
 
   update() {
-    childProcess.exec('yum check-update | sed \'1,/^$/d\' | wc -l', (err, out) => {
+    this._run();
+  }
+
+  // Commands may be slow or do things, so only clicks and intervals run them
+  _redraw() {
+    if (this.result)
+      this._show();
+  }
+
+  action(button) {
+    this._run(button);
+  }
+
+  _run(button) {
+    let env = Object.assign({}, process.env, {
+      BLOCK_ID:     this.id,
+      BLOCK_BUTTON: button || ''
+    });
+
+    childProcess.exec(this.command, {shell: config.get('shell'), env: env},
+        this._guard((err, out) => {
       if (err) {
         this.emit('error', err);
         return;
       }
 
-      // Save previous output
-      let prev = this._output;
+      this.result = parseCommandOutput(out, this.json);
+      this._show();
+    }));
+  }
 
-      let updates = Number.parseInt(out.trim());
-      let output = ` ${updates} `;
+  // Show the last output
+  _show() {
+    // Save previous output
+    let prev = this._output;
 
-      // Accent and action if updates
-      if (updates) {
-        output = util.addBG(util.addAction(output,
-            `${config.get('termExec')} sudo yum update`,
-            [this.constructor.name]), 'cAccent');
-      }
+    this._output = formatCommandOutput(this, this.result);
 
-      this._output = output;
+    if (prev !== this._output)
+      this.emit('update');
+  }
+}
 
-      if (prev !== this._output)
-        this.emit('update');
+
+// Shows each line printed by a long running shell command, restarting the
+// command if it exits
+// options = { json, buttons }
+// Clicks write the button number to its stdin
+class PersistentCommandBlock extends EventBlock {
+  constructor(command, options) {
+    options = options || {};
+    super(null);
+    this.command = command;
+    this.json = !!options.json;
+    this.buttons = options.buttons || config.get('commandButtons');
+    this.last = null;
+  }
+
+  // Only run the command while started
+  start() {
+    this.emitter = new clients.Supervisor(`${this.id} (${this.command})`, (connected, died) => {
+      let client = new clients.ProcessReader(config.get('shell'), ['-c', this.command], {
+        env: Object.assign({}, process.env, {BLOCK_ID: this.id})
+      });
+      client.on('ready', connected);
+      client.on('error', died);
+      client.on('close', died);
+      return client;
     });
+
+    super.start();
+  }
+
+  stop() {
+    super.stop();
+    this.emitter.stop();
   }
-}
 
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {text} '});
+  }
 
-class WorkspaceBlock extends I3Block {
   _do_registration() {
-    this._register(['workspace']);
+    this._register(['line']);
   }
 
-  update() {
-    this.emitter.workspaces((err, data) => {
-      if (err) {
-        this.emit('error', err);
-        return;
-      }
-      
-      // Save previous output
-      let prev = this._output;
+  update(line) {
+    if (line !== undefined)
+      this.last = line;
+    if (this.last === null)
+      return;
 
-      this._output = data.map(function(space) {
-        let current = ` ${
-          space.name.split(':').slice(1).join('') || space.name
-        } `;
-        
-        // Select workspace
-        current = util.addAction(current, `i3-msg workspace "${space.name}"`, 1);
-        // Next workspace
-        current = util.addAction(current, "i3-msg workspace next", 4);
-        // Prev workspace
-        current = util.addAction(current, "i3-msg workspace prev", 5);
-
-        if (space.focused)
-          return util.addBG(current, 'cAccent');
-        else if (space.urgent)
-          return util.addBG(current, 'cUrgent');
-        else
-          return util.addBG(current, 'cBG');
-      }).join('');
-      
-      if (prev !== this._output)
-        this.emit('update');
-    });
+    // Save previous output
+    let prev = this._output;
+
+    this._output = formatCommandOutput(this, parseCommandOutput(this.last, this.json));
+
+    if (prev !== this._output)
+      this.emit('update');
+  }
+
+  action(button) {
+    this.emitter.call('write', `${button}\n`);
   }
 }
 
 
-class TitleBlock extends I3Block {
-  _do_registration() {
-    this._register(['window', 'workspace::focus']);
+// Abstract block showing a sampled value, e.g. CPU usage
+// _sample(cb) calls back with (err, value, fields), where value is what
+// thresholds and graphs go by, from 0 to _max(), and fields are for formats
+// Adds the fields graph, a sparkline of the last sysHistory values, and bar,
+// the value as a bar
+class ResourceBlock extends IntervalBlock {
+  constructor(interval) {
+    super(interval || 'sysInterval');
+    this.history = [];
+  }
+
+  // Value at the top of graphs
+  _max() {
+    return 100;
   }
 
   update() {
-    this.emitter.tree((err, data) => {
+    this._sample(this._guard((err, value, fields) => {
       if (err) {
         this.emit('error', err);
         return;
@@ -476,181 +1012,1094 @@ class TitleBlock extends I3Block {
       // Save previous output
       let prev = this._output;
 
-      this._output = ` ${_.trunc(util.findFocused(data).name, {
-        length:     config.get('maxLen'),
-        omission:   config.get('trunc')
-      })} `;
+      this.history = this.history.concat(value).slice(-config.get('sysHistory'));
 
-      if (prev !== this._output)
-        this.emit('update');
+      let level = this._level(value),
+          state = level ? (level === 'warn' ? 'warn' : 'critical') : 'default';
+
+      fields = Object.assign({
+        graph:  util.sparkline(this.history, this._max()),
+        bar:    util.bar(value, this._max(), config.get('sysBarWidth'))
+      }, fields);
+      this._transition(state, fields);
+
+      this._output = this._alert(this._render(state, fields));
+
+      if (prev !== this._output)
+        this.emit('update');
+    }));
+  }
+}
+
+
+// CPU usage since the last update, from /proc/stat
+class CpuBlock extends ResourceBlock {
+  _formats() {
+    return Object.assign(super._formats(), {default: ' cpu {usage}% '});
+  }
+
+  _thresholds() {
+    return {warn: 70, critical: 90, hysteresis: 5};
+  }
+
+  _sample(cb) {
+    fs.readFile(path.join(config.get('procRoot'), 'stat'), 'utf8', (err, data) => {
+      if (err)
+        return cb(err);
+
+      // cpu user nice system idle iowait irq softirq steal
+      let times = data.split('\n')[0].trim().split(/\s+/).slice(1, 9).map(Number),
+          total = _.sum(times),
+          idle = times[3] + times[4];
+
+      // The first update is since boot
+      let last = this._last || {total: 0, idle: 0};
+      this._last = {total: total, idle: idle};
+
+      let usage = total > last.total ?
+        Math.round(100 * (1 - (idle - last.idle) / (total - last.total))) : 0;
+      cb(null, usage, {usage: usage});
+    });
+  }
+}
+
+
+// Memory in use, from /proc/meminfo
+class MemoryBlock extends ResourceBlock {
+  _formats() {
+    return Object.assign(super._formats(), {default: ' mem {percent}% '});
+  }
+
+  _thresholds() {
+    return {warn: 80, critical: 95, hysteresis: 2};
+  }
+
+  _sample(cb) {
+    fs.readFile(path.join(config.get('procRoot'), 'meminfo'), 'utf8', (err, data) => {
+      if (err)
+        return cb(err);
+
+      // In kB
+      let info = {};
+      data.split('\n').forEach((line) => {
+        let match = line.match(/^(\w+):\s+(\d+)/);
+        if (match)
+          info[match[1]] = Number(match[2]) * 1024;
+      });
+
+      if (!info.MemTotal || info.MemAvailable === undefined)
+        return cb(new Error('Unexpected contents of meminfo'));
+
+      let used = info.MemTotal - info.MemAvailable,
+          percent = Math.round(100 * used / info.MemTotal);
+      cb(null, percent, {
+        percent:    percent,
+        used:       util.formatBytes(used),
+        available:  util.formatBytes(info.MemAvailable),
+        total:      util.formatBytes(info.MemTotal)
+      });
+    });
+  }
+}
+
+
+// Load averages, from /proc/loadavg
+// Goes by the 1 minute load, warning from one process per CPU
+class LoadBlock extends ResourceBlock {
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {load1} '});
+  }
+
+  _thresholds() {
+    return {warn: os.cpus().length, critical: 2 * os.cpus().length, hysteresis: 0.5};
+  }
+
+  _max() {
+    return 2 * os.cpus().length;
+  }
+
+  _sample(cb) {
+    fs.readFile(path.join(config.get('procRoot'), 'loadavg'), 'utf8', (err, data) => {
+      if (err)
+        return cb(err);
+
+      let loads = data.trim().split(/\s+/).slice(0, 3);
+      cb(null, Number(loads[0]), {
+        load1:  loads[0],
+        load5:  loads[1],
+        load15: loads[2],
+        cpus:   os.cpus().length
+      });
+    });
+  }
+}
+
+
+// Disk space in use on a mountpoint, like df
+class DiskBlock extends ResourceBlock {
+  constructor(mountpoint, interval) {
+    super(interval || 'refreshFreq');
+    this.mountpoint = mountpoint || '/';
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {mount} {percent}% '});
+  }
+
+  _thresholds() {
+    return {warn: 85, critical: 95, hysteresis: 1};
+  }
+
+  _sample(cb) {
+    fs.statfs(this.mountpoint, (err, stats) => {
+      if (err)
+        return cb(err);
+
+      // Space reserved for root counts as neither used nor free
+      let used = (stats.blocks - stats.bfree) * stats.bsize,
+          free = stats.bavail * stats.bsize,
+          percent = used + free ? Math.round(100 * used / (used + free)) : 0;
+      cb(null, percent, {
+        mount:    this.mountpoint,
+        percent:  percent,
+        used:     util.formatBytes(used),
+        free:     util.formatBytes(free),
+        total:    util.formatBytes(stats.blocks * stats.bsize)
+      });
+    });
+  }
+}
+
+
+// Temperature of a thermal zone, from /sys/class/thermal
+// zone is a number or a name like thermal_zone0
+class TemperatureBlock extends ResourceBlock {
+  constructor(zone, interval) {
+    super(interval);
+    zone = zone === undefined ? 0 : zone;
+    this.zone = typeof zone === 'number' ? `thermal_zone${zone}` : zone;
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {temp}°C '});
+  }
+
+  _thresholds() {
+    return {warn: 70, critical: 85, hysteresis: 3};
+  }
+
+  _sample(cb) {
+    let file = path.join(config.get('sysRoot'), 'class', 'thermal', this.zone, 'temp');
+    fs.readFile(file, 'utf8', (err, data) => {
+      if (err)
+        return cb(err);
+
+      // In millidegrees
+      let temp = Math.round(Number(data.trim()) / 1000);
+      if (Number.isNaN(temp))
+        return cb(new Error(`Unexpected contents of ${file}`));
+
+      cb(null, temp, {temp: temp, zone: this.zone});
+    });
+  }
+}
+
+
+// Updates once an hour
+class YumUpdateBlock extends IntervalBlock {
+  constructor() {
+    super('yumUpdateFreq');
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {updates} '});
+  }
+
+  _notifications() {
+    return {
+      available: '{updates} updates available'
+    };
+  }
+
+  update() {
+    childProcess.exec('yum check-update | sed \'1,/^$/d\' | wc -l', this._guard((err, out) => {
+      if (err) {
+        this.emit('error', err);
+        return;
+      }
+
+      this.updates = Number.parseInt(out.trim());
+      this._show();
+    }));
+  }
+
+  // Checks are slow
+  _redraw() {
+    if (this.updates !== undefined)
+      this._show();
+  }
+
+  // Show the last count
+  _show() {
+    // Save previous output
+    let prev = this._output;
+
+    let updates = this.updates,
+        state = updates ? 'available' : 'default';
+    this._transition(state, {updates: updates});
+
+    let output = this._render(state, {updates: updates});
+
+    // Accent and action if updates
+    if (updates) {
+      output = util.addBG(util.addAction(output,
+          `${config.get('termExec')} sudo yum update`, null,
+          [this.id]), 'cAccent');
+    }
+
+    this._output = output;
+
+    if (prev !== this._output)
+      this.emit('update');
+  }
+}
+
+
+// Pending updates of package managers, by default those which are installed
+// (see lib/updates.js), every updateFreq
+// Checks run one at a time and never overlap, since they are slow and may
+// lock the package database
+// Clicking with updates installs them in a terminal
+class UpdatesBlock extends IntervalBlock {
+  constructor(backends, interval) {
+    super(interval || 'updateFreq');
+    this.backends = backends || null;
+    (this.backends || []).forEach(updates.backend);
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:    '',
+      available:  ' {counts} ',
+      security:   ' {counts} !{security} '
+    });
+  }
+
+  _notifications() {
+    return {
+      available:  '{updates} updates available',
+      security:   {summary: '{security} security updates available', body: '{counts}',
+                   urgency: 'critical'}
+    };
+  }
+
+  // Checks are shared with other blocks; see lib/updates.js
+  update() {
+    let names = this.backends || config.get('updateBackends'),
+        backends = names ? (cb) => cb(names) : updates.detect;
+    backends(this._guard((names) => {
+      async.mapSeries(names, (name, cb) => {
+        updates.check(name, (err, result) => cb(null, err || result));
+      }, this._guard((err, results) => {
+        // Show what could be checked, unless nothing could
+        let failed = results.filter((result) => result instanceof Error);
+        failed.forEach((err) => util.logError(`${this.id}: ${err.message}`));
+        if (failed.length && failed.length === results.length) {
+          this.emit('error', failed[0]);
+          return;
+        }
+
+        this.results = results.filter((result) => !(result instanceof Error));
+        this._show();
+      }));
+    }));
+  }
+
+  // Checks are slow, unless the package managers to check change
+  _redraw() {
+    if (this.results)
+      this._show();
+  }
+
+  _restartKeys() {
+    return super._restartKeys().concat(this.backends ? [] : ['updateBackends']);
+  }
+
+  // Show the last results
+  _show() {
+    // Save previous output
+    let prev = this._output,
+        results = this.results;
+
+    let pending = results.filter((result) => result.packages.length),
+        fields = {
+          updates:  _.sumBy(results, (result) => result.packages.length),
+          security: _.sumBy(results, 'security'),
+          counts:   pending.map((result) => `${result.name} ${result.packages.length}`).join(' ')
+        };
+
+    // Counts by package manager, null for those which aren't checked
+    Object.keys(updates.BACKENDS).forEach((name) => {
+      let result = results.find((result) => result.name === name);
+      fields[name] = result ? result.packages.length : null;
+    });
+
+    let state = fields.security ? 'security' : fields.updates ? 'available' : 'default';
+    this._transition(state, fields);
+
+    let output = this._render(state, fields);
+
+    // Color and action if updates
+    if (fields.updates) {
+      let upgrade = updates.upgradeCommand(pending.map((result) => result.name));
+      output = util.addBG(util.addAction(output,
+          `${config.get('termExec')} sh -c ${ipc.quote(upgrade)}`, null,
+          [this.id]), fields.security ? 'cUrgent' : 'cAccent');
+    }
+
+    this._output = output;
+
+    if (prev !== this._output)
+      this.emit('update');
+  }
+}
+
+
+// Window events which change what is on workspaces
+const WORKSPACE_WINDOW_CHANGES = ['new', 'close', 'move'];
+
+// Workspaces can show icons for the classes of their windows, from wsIconMap
+// Right clicking one moves the focused window there
+class WorkspaceBlock extends I3Block {
+  // Only windows coming, going or moving change workspaces, not e.g. titles
+  _do_registration() {
+    this._listen(this.emitter, 'window', (e) => {
+      if (WORKSPACE_WINDOW_CHANGES.indexOf(e.change) !== -1)
+        this.update();
+    });
+    this._register(['workspace']);
+  }
+
+  update() {
+    async.parallel({
+      spaces: (cb) => this.emitter.call('workspaces', cb),
+      tree:   (cb) => this.emitter.call('tree', cb)
+    }, this._guard((err, data) => {
+      if (err) {
+        this.emit('error', err);
+        return;
+      }
+
+      // Save previous output
+      let prev = this._output,
+          prevByOutput = this._byOutput;
+
+      let windows = this._windows(data.tree),
+          spaces = data.spaces.filter((space) => {
+            return space.focused || !config.get('wsHideEmpty') ||
+              (windows[space.name] || []).length;
+          });
+
+      let format = (spaces) => this._format(spaces, windows);
+      this._output = format(spaces);
+      this._byOutput = _.mapValues(_.groupBy(spaces, 'output'), format);
+
+      if (prev !== this._output || !_.isEqual(prevByOutput, this._byOutput))
+        this.emit('update');
+    }));
+  }
+
+  // Windows on each workspace, by workspace name
+  _windows(tree) {
+    let windows = {};
+    for (let node of util.getDescendants(tree)) {
+      if (node.type === 'workspace')
+        windows[node.name] = Array.from(util.getDescendants(node)).filter((n) => n.window);
+    }
+    return windows;
+  }
+
+  // One icon per window class, or wsIconDefault for unknown classes
+  _icons(windows) {
+    let icons = config.get('wsIconMap');
+    return _.uniq(windows.map((win) => {
+      let props = win.window_properties || {},
+          name = (props.class || '').toLowerCase();
+      return icons[name] || icons[(props.instance || '').toLowerCase()] ||
+        config.get('wsIconDefault');
+    })).join(' ');
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:  config.get('wsIcons') ? ' {name}{?icons} {icons}{/icons} ' : ' {name} '
+    });
+  }
+
+  _format(spaces, windows) {
+    let commands = wm.commands();
+    return spaces.map((space) => {
+      let wins = windows[space.name] || [];
+      let state = space.focused ? 'focused' : space.urgent ? 'urgent' :
+        space.visible ? 'visible' : 'default';
+      let current = this._render(state, {
+        name:       space.name.split(':').slice(1).join('') || space.name,
+        num:        space.num,
+        fullName:   space.name,
+        icons:      this._icons(wins),
+        windows:    wins.length
+      });
+
+      // Select workspace
+      current = util.addAction(current, commands.focus(space), 1);
+      // Move the focused window there
+      current = util.addAction(current, commands.move(space), 3);
+      // Next workspace
+      current = util.addAction(current, commands.next(spaces), 4);
+      // Prev workspace
+      current = util.addAction(current, commands.prev(spaces), 5);
+
+      if (space.focused)
+        return util.addBG(current, 'cAccent');
+      else if (space.urgent)
+        return util.addBG(current, 'cUrgent');
+      else if (space.visible)
+        return util.addBG(current, 'cVisible');
+      else
+        return util.addBG(current, 'cBG');
+    }).join('');
+  }
+
+  // Only workspaces on the given monitor
+  _outputFor(output) {
+    if (!output || !this._byOutput)
+      return this._output;
+    return this._byOutput[output] || '';
+  }
+}
+
+
+// What titleButtons can do to a window
+const WINDOW_ACTIONS = ['kill', 'floating', 'fullscreen'];
+
+// Clicking toggles scrolling long titles instead of truncating them, and
+// other buttons act on the window as set by titleButtons
+// Titles are rewritten by titleRewrites for their class, and marked with
+// titleMarkers when floating, fullscreen or sticky
+class TitleBlock extends I3Block {
+  constructor() {
+    super();
+    this.scrolling = config.get('marquee');
+    this.marquee = new Marquee(this._guard(this._show));
+
+    _.forEach(config.get('titleButtons'), (name) => {
+      if (WINDOW_ACTIONS.indexOf(name) === -1)
+        throw new Error(`Unknown window action "${name}"; expected one of: ${
+          WINDOW_ACTIONS.join(', ')}`);
+    });
+  }
+
+  stop() {
+    super.stop();
+    this.marquee.stop();
+  }
+
+  _do_registration() {
+    this._register(['window', 'workspace']);
+  }
+
+  action() {
+    this.scrolling = !this.scrolling;
+    this._show();
+  }
+
+  update() {
+    this.emitter.call('tree', this._guard((err, data) => {
+      if (err) {
+        this.emit('error', err);
+        return;
+      }
+
+      this.tree = data;
+      this._show();
+    }));
+  }
+
+  // Show the last tree
+  _show() {
+    if (!this.tree)
+      return;
+
+    // Save previous output
+    let prev = this._output,
+        prevByOutput = this._byOutput;
+
+    this.marquee.begin();
+    this._output = this._format(util.findFocused(this.tree));
+
+    // The window each monitor would focus, or its empty workspace
+    this._byOutput = {};
+    for (let output of this.tree.nodes) {
+      if (output.type === 'output' && output.name !== '__i3')
+        this._byOutput[output.name] = this._format(util.findFocusedOn(this.tree, output.name) ||
+          util.findWorkspaceOn(this.tree, output.name));
+    }
+    this.marquee.end();
+
+    if (prev !== this._output || !_.isEqual(prevByOutput, this._byOutput))
+      this.emit('update');
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:  ' {?markers}{markers} {/markers}{title} ',
+      empty:    ''
+    });
+  }
+
+  // The workspace a node is on
+  _workspaceOf(node) {
+    for (let space of util.getDescendants(this.tree)) {
+      if (space.type === 'workspace' && (space === node ||
+          Array.from(util.getDescendants(space)).indexOf(node) !== -1))
+        return space;
+    }
+  }
+
+  // Floating windows are under a floating_nodes list, at any depth
+  _isFloating(win) {
+    for (let node of util.getDescendants(this.tree)) {
+      for (let floating of node.floating_nodes) {
+        if (floating === win || Array.from(util.getDescendants(floating)).indexOf(win) !== -1)
+          return true;
+      }
+    }
+    return false;
+  }
+
+  // Title rewritten by the rules for the window's class or instance
+  _rewrite(title, props) {
+    let rewrites = config.get('titleRewrites'),
+        rules = Object.assign({}, rewrites[(props.instance || '').toLowerCase()],
+                              rewrites[(props.class || '').toLowerCase()]);
+
+    return _.reduce(rules, (title, replacement, pattern) => {
+      return title.replace(new RegExp(pattern), replacement);
+    }, title || '');
+  }
+
+  // Shows a window, or the focused workspace when it has none
+  _format(node) {
+    if (!node)
+      return '';
+
+    let space = this._workspaceOf(node);
+    if (node.type === 'workspace') {
+      return this._render('empty', {
+        title: null, class: null, instance: null, markers: null,
+        workspace: space.name
+      });
+    }
+
+    let props = node.window_properties || {},
+        title = this._rewrite(node.name, props),
+        markers = config.get('titleMarkers');
+
+    let output = this._render('default', {
+      title:      this.scrolling ? title : _.truncate(title, {
+        length:     config.get('maxLen'),
+        omission:   config.get('trunc')
+      }),
+      class:      props.class,
+      instance:   props.instance,
+      workspace:  space && space.name,
+      markers:    [
+        this._isFloating(node) && markers.floating,
+        node.fullscreen_mode > 0 && markers.fullscreen,
+        node.sticky && markers.sticky
+      ].filter(_.identity).join('')
+    });
+
+    if (this.scrolling)
+      output = this.marquee.frame(output, config.get('maxLen'));
+
+    // Window actions, then scrolling
+    let commands = wm.commands();
+    _.forEach(config.get('titleButtons'), (name, button) => {
+      output = util.addAction(output, commands[name](node), button);
     });
+    return util.addAction(output, null, null, [this.id], true);
+  }
+
+  // Only the window on the given monitor
+  _outputFor(output) {
+    if (!output || !this._byOutput)
+      return this._output;
+    return this._byOutput[output] || '';
+  }
+}
+
+
+class I3ModeBlock extends I3Block {
+  constructor() {
+    super();
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {mode} '});
+  }
+
+  _do_registration() {
+    this._register(['mode']);
+  }
+
+  // Remember the mode, for updates without an event
+  update(e) {
+    if (e)
+      this.mode = e.change;
+
+    this._output = (!this.mode || this.mode === 'default') ?
+      '' : util.addBG(this._render('default', {mode: this.mode}), 'cUrgent');
+    this.emit('update');
   }
 }
 
 
-class I3ModeBlock extends I3Block {
-  constructor() {
-    super();
-  }
+// A power supply from /sys/class/power_supply, with energy in µWh and power
+// in µW; batteries reporting charge in µAh and current in µA are converted
+// with their voltage
+function readPowerSupply(name, cb) {
+  let dir = path.join(config.get('sysRoot'), 'class', 'power_supply', name),
+      files = ['type', 'scope', 'status', 'online', 'capacity', 'energy_now',
+               'energy_full', 'power_now', 'charge_now', 'charge_full',
+               'current_now', 'voltage_now'];
+
+  async.map(files, (file, cb) => {
+    readIfExists(path.join(dir, file), cb);
+  }, (err, values) => {
+    if (err)
+      return cb(err);
+
+    let supply = _.zipObject(files, values.map((value) => value && value.trim())),
+        number = (key) => supply[key] ? Number(supply[key]) : null,
+        volts = number('voltage_now') / 1e6;
+
+    cb(null, {
+      name:     name,
+      type:     supply.type,
+      scope:    supply.scope,
+      status:   supply.status,
+      online:   supply.online === '1',
+      capacity: number('capacity'),
+      energy:   supply.energy_now ? number('energy_now') : number('charge_now') * volts,
+      full:     supply.energy_full ? number('energy_full') : number('charge_full') * volts,
+      power:    supply.power_now ? number('power_now') : number('current_now') * volts
+    });
+  });
+}
+
+// Hours as a short duration, e.g. 1.5h or 45m
+function formatHours(hours) {
+  if (!Number.isFinite(hours) || hours <= 0)
+    return null;
+  return hours >= 1 ? `${hours.toFixed(1)}h` : `${Math.round(hours * 60)}m`;
+}
+
+// Charging status, by sysfs status
+const BATTERY_STATES = {
+  'Full':         {state: 'full', icon: '✓'},
+  'Charging':     {state: 'charging', icon: '↑'},
+  'Discharging':  {state: 'discharging', icon: '↓'}
+};
+
+// Shows all batteries as one, or only those named in batteries, e.g. ['BAT0']
+// Percent and time are by energy, so a small pack counts for less; watts are
+// the power drawn or charged overall. Clicking toggles showing each pack
+class BatteryBlock extends AcpiBlock {
+  constructor(batteries) {
+    super();
+    this.batteries = batteries || null;
+    this.each = config.get('batEach');
+  }
+
+  start() {
+    super.start();
+
+    // Update status periodically, for power and time
+    this._every(config.get('batInterval'), this.update.bind(this));
+  }
+
+  _restartKeys() {
+    return ['batInterval'];
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:  ' {?time}{time} {/time}{?icon}{icon} {/icon}{percent}{?packs} [{packs}]{/packs} '
+    });
+  }
+
+  // Warn when low, flashing when nearly empty
+  _thresholds() {
+    return {
+      below:      true,
+      warn:       config.get('batWarn'),
+      critical:   config.get('batCritical'),
+      blink:      config.get('batBlink'),
+      hysteresis: 1
+    };
+  }
+
+  _notifications() {
+    return {
+      warn:     {summary: 'Battery low', body: '{percent}% left{?time}, {time}{/time}'},
+      critical: {summary: 'Battery critical', body: '{percent}% left{?time}, {time}{/time}',
+                 urgency: 'critical'}
+    };
+  }
+
+  _do_registration() {
+    this._register(['ac_adapter', 'battery']);
+  }
+
+  // acpi only speeds up updates; the battery can still be read without it
+  _disconnected() {
+  }
+
+  action() {
+    this.each = !this.each;
+    this.update();
+  }
+
+  update() {
+    // Set a fudge timeout
+    this._clear(this.fudge);
+    this.fudge = this._after(config.get('fudgeTimeout'), () => {
+      let dir = path.join(config.get('sysRoot'), 'class', 'power_supply');
+      fs.readdir(dir, this._guard((err, names) => {
+        if (err && err.code !== 'ENOENT') {
+          this.emit('error', err);
+          return;
+        }
+
+        async.map(names || [], readPowerSupply, this._guard((err, supplies) => {
+          if (err) {
+            this.emit('error', err);
+            return;
+          }
+
+          // Device batteries are for mice and the like
+          this._show(supplies.filter((supply) => {
+            return supply.type === 'Battery' && supply.scope !== 'Device' &&
+              (!this.batteries || this.batteries.indexOf(supply.name) !== -1);
+          }));
+        }));
+      }));
+    });
+  }
+
+  _show(batteries) {
+    // Save previous output
+    let prev = this._output;
+
+    // Nothing to show without a battery
+    if (!batteries.length) {
+      this._output = '';
+      if (prev !== this._output)
+        this.emit('update');
+      return;
+    }
+
+    let percentOf = (bat) => {
+      return bat.full ? Math.round(bat.energy / bat.full * 100) : bat.capacity;
+    };
+
+    let energy = _.sumBy(batteries, 'energy'),
+        full = _.sumBy(batteries, 'full'),
+        power = _.sumBy(batteries, 'power'),
+        percent = full ? Math.round(energy / full * 100) :
+          Math.round(_.meanBy(batteries, 'capacity'));
+
+    // Charging wins over discharging, which wins over full
+    let statuses = batteries.map((bat) => bat.status),
+        status = ['Charging', 'Discharging'].find((s) => statuses.indexOf(s) !== -1) ||
+          (statuses.every((s) => s === 'Full') ? 'Full' : null),
+        charging = BATTERY_STATES[status] || {state: 'default'};
+
+    // Time until empty or full
+    let time = null;
+    if (status === 'Discharging')
+      time = formatHours(energy / power);
+    else if (status === 'Charging')
+      time = formatHours((full - energy) / power);
+
+    let state = charging.state;
+
+    // Low battery only matters when we are not charging
+    let level = this._level(status !== 'Charging' ? percent : null);
+    if (level)
+      state = level === 'warn' ? 'warn' : 'critical';
+
+    let fields = {
+      time:     time,
+      icon:     charging.icon,
+      state:    charging.state,
+      percent:  percent,
+      watts:    power ? Math.round(power / 1e5) / 10 : null,
+      packs:    this.each && batteries.length > 1 ?
+        batteries.map(percentOf).join('/') : null
+    };
+    this._transition(state, fields);
+
+    let output = this._render(state, fields);
+
+    // Urgent if we are fully charged
+    if (state === 'full')
+      output = util.addBG(output, 'cUrgent');
 
-  _do_registration() {
-    this._register(['mode']);
-  }
+    this._output = this._alert(util.addAction(output, null, null, [this.id], true));
 
-  update(e) {
-    this._output = (!e || e.change === 'default') ?
-      '' : util.addBG(` ${e.change} `, 'cUrgent');
-    this.emit('update');
+    if (prev !== this._output)
+      this.emit('update');
   }
 }
 
 
-class BatteryBlock extends AcpiBlock {
-  constructor() {
-    super();
+// Runs pactl, parsing its JSON output
+function pactlJson(args, cb) {
+  childProcess.execFile('pactl', ['--format=json'].concat(args), (err, out) => {
+    if (err)
+      return cb(err);
 
-    // Update status periodically
-    setInterval(this.update.bind(this), config.get('refreshFreq'));
+    let result;
+    try {
+      result = JSON.parse(out);
+    } catch (e) {
+      return cb(new Error(`Unexpected output from pactl ${args.join(' ')}`));
+    }
+    cb(null, result);
+  });
+}
+
+// Abstract block for the default PulseAudio or PipeWire sink or source
+// kind is 'sink' or 'source'
+// Left click toggles mute, scrolling changes the volume up to volMax, and
+// right click makes the next device the default
+class PulseBlock extends EventBlock {
+  constructor(kind) {
+    super('pactl');
+    this.kind = kind;
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {volume} '});
   }
 
+  // Default devices change on the server
   _do_registration() {
-    this._register(['ac_adapter']);
+    this._register([`change_${this.kind}`, `new_${this.kind}`, `remove_${this.kind}`, 'change_server']);
+  }
+
+  // Background color for the state, if any
+  // abstract _color(muted);
+
+  // Devices which right click cycles through
+  // The default may be any device, even one left out here
+  _devices(devices) {
+    return devices;
   }
 
   update() {
     // Set a fudge timeout
-    if (this.fudge)
-      clearTimeout(this.fudge);
-    this.fudge = setTimeout(() => {
-      linuxBattery().then((batteries) => {
-        // Save previous output
-        let prev = this._output;
-
-        let bat = batteries[0]; // Grab the first battery
-        let stats = [];
-
-        // Time until...
-        let time = bat.timeToEmpty || bat.timeToFull;
-        if (time)
-          stats.push(time.replace(/\s*([a-z])[a-z]*/, '$1'));
-
-        // Charging status
-        let state;
-        switch (bat.state) {
-          case 'fully-charged':
-            state = '✓';
-            break;
-          case 'charging':
-            state = '↑';
-            break;
-          case 'discharging':
-            state = '↓';
-            break;
-          default:
-            // Do nothing
+    this._clear(this.fudge);
+    this.fudge = this._after(config.get('fudgeTimeout'), () => {
+      async.parallel({
+        info:     pactlJson.bind(null, ['info']),
+        devices:  pactlJson.bind(null, ['list', `${this.kind}s`])
+      }, this._guard((err, data) => {
+        if (err) {
+          this.emit('error', err);
+          return;
         }
-        if (state)
-          stats.push(state);
 
-        // Percent
-        let percent = Number.parseInt(bat.percentage.replace(/[^\d]/, ''));
-        stats.push(percent);
+        this._show(data.info[`default_${this.kind}_name`], data.devices);
+      }));
+    });
+  }
+
+  _show(name, devices) {
+    // Save previous output
+    let prev = this._output;
 
-        let output = ` ${stats.join(' ')} `;
+    this.devices = this._devices(devices);
+    this.device = devices.find((device) => device.name === name);
+    if (!this.device) {
+      this.emit('error', new Error(`No default ${this.kind}`));
+      return;
+    }
 
-        // Critical
-        if (percent <= config.get('batCritical') &&   // If we are at critical battery
-            bat.state !== 'charging' ||               // and we are not charging
-            bat.state === 'fully-charged')            // or if we are fully charged
-          output = util.addBG(output, 'cUrgent');
+    // Average over channels
+    let volumes = _.map(this.device.volume, (channel) => Number.parseInt(channel.value_percent)),
+        volume = Math.round(_.mean(volumes)) || 0,
+        muted = !!this.device.mute,
+        props = this.device.properties || {},
+        icons = config.get('audioIcons');
+
+    this.volume = volume;
+    this._level(muted ? null : volume);
+
+    let fields = {
+      volume:       volume,
+      muted:        muted,
+      name:         this.device.name,
+      description:  this.device.description,
+      icon:         icons[props['device.form_factor']] || icons[props['device.bus']] || icons[this.kind]
+    };
+    this._transition(muted ? 'muted' : 'default', fields);
 
-        this._output = output;
+    let output = this._render(muted ? 'muted' : 'default', fields);
+    if (this._color(muted))
+      output = util.addBG(output, this._color(muted));
 
-        if (prev !== this._output)
-          this.emit('update');
-      });
-    }, config.get('fudgeTimeout'));
+    // Toggle mute, next device, volume up and down
+    output = util.addBlockAction(output, this.id, 1, ['mute']);
+    output = util.addBlockAction(output, this.id, 3, ['next']);
+    output = util.addBlockAction(output, this.id, 4, ['up']);
+    output = util.addBlockAction(output, this.id, 5, ['down']);
+
+    this._output = this._alert(output);
+
+    if (prev !== this._output)
+      this.emit('update');
+  }
+
+  action(what) {
+    if (!this.device)
+      return;
+
+    let kind = this.kind,
+        step = config.get('volPercent'),
+        next = this.devices[(_.findIndex(this.devices, {name: this.device.name}) + 1) % this.devices.length],
+        args;
+
+    switch (what) {
+      case 'mute':
+        args = [`set-${kind}-mute`, this.device.name, 'toggle'];
+        break;
+      case 'up':
+        // Never past the cap, but don't turn down volumes already over it
+        args = [`set-${kind}-volume`, this.device.name,
+                `${Math.max(Math.min(this.volume + step, config.get('volMax')), this.volume)}%`];
+        break;
+      case 'down':
+        args = [`set-${kind}-volume`, this.device.name, `${Math.max(this.volume - step, 0)}%`];
+        break;
+      case 'next':
+        args = [`set-default-${kind}`, next.name];
+        break;
+      default:
+        return;
+    }
+
+    childProcess.execFile('pactl', args, this._guard((err) => {
+      if (err)
+        this.emit('error', err);
+    }));
   }
 }
 
 
-class VolumeBlock extends EventBlock {
+// The default output device
+class VolumeBlock extends PulseBlock {
   constructor() {
-    super(clients.pactl);
+    super('sink');
   }
 
-  _do_registration() {
-    this._register(['change_sink']);
+  _color(muted) {
+    return muted ? 'cUrgent' : null;
   }
+}
 
-  update() {
-    // Set a fudge timeout
-    if (this.fudge)
-      clearTimeout(this.fudge);
-    this.fudge = setTimeout(() => {
-      childProcess.exec('amixer get Master', (err, out) => {
-        if (err) {
-          this.emit('error', err);
-          return;
-        }
-
-        // Save previous output
-        let prev = this._output;
 
-        let matches = out.match(/\[(\d{1,3})%\] \[(on|off)\]$/m);
-        let output = ` ${matches[1]} `;
-        if (matches[2] === 'off')
-          output = util.addBG(output, 'cUrgent');
+// The default input device
+// Highlighted while live
+class MicrophoneBlock extends PulseBlock {
+  constructor() {
+    super('source');
+  }
 
-        // Commands
-        // Toggle mute
-        output = util.addAction(output, 'amixer set Master toggle', 1);
-        // Volume up
-        output = util.addAction(output,
-            `amixer set Master ${config.get('volPercent')}%+`, 4);
-        // Volume down
-        output = util.addAction(output,
-            `amixer set Master ${config.get('volPercent')}%-`, 5);
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {icon} {volume} ', muted: ' {icon} '});
+  }
 
-        this._output = output;
+  _color(muted) {
+    return muted ? null : 'cAccent';
+  }
 
-        if (prev !== this._output)
-          this.emit('update');
-      });
-    }, config.get('fudgeTimeout'));
+  // Not the monitors of sinks, though one can still be the default
+  _devices(devices) {
+    return devices.filter((device) => !/\.monitor$/.test(device.name));
   }
 }
 
 
 class SsidBlock extends EventBlock {
   constructor() {
-    super(clients.iwevent);
+    super('iwevent');
+  }
+
+  start() {
+    super.start();
 
     // Update status periodically
-    setInterval(this.update.bind(this), config.get('refreshFreq'));
+    this._every(config.get('refreshFreq'), this.update.bind(this));
+  }
+
+  _restartKeys() {
+    return ['refreshFreq'];
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:  ' {ssid} ',
+      offline:  ' disconnected '
+    });
+  }
+
+  _notifications() {
+    return {
+      offline:  'Wi-Fi disconnected'
+    };
   }
 
   _do_registration() {
     this._register(['New Access Point']);
   }
 
+  // iwevent only speeds up updates; iwgetid still works without it
+  _disconnected() {
+  }
+
   // TODO: detect if airplane mode is on or not
   update() {
-    // Set a fudge timout
-    if (this.fudge)
-      clearTimeout(this.fudge);
-    this.fudge = setTimeout(() => {
-      childProcess.exec('iwgetid', (err, out) => {
+    // Set a fudge timeout
+    this._clear(this.fudge);
+    this.fudge = this._after(config.get('netFudgeTimeout'), () => {
+      childProcess.exec('iwgetid', this._guard((err, out) => {
         // Save previous output
         let prev = this._output;
 
         // err means no ssid
-        let output = ` ${
-          _.trunc(err ? 'disconnected' : out.match(/ESSID:"(.*?)"$/m)[1], {
-            length:     config.get('maxSsidLen'),
-            omission:   config.get('trunc')
-          })
-        } `;
+        let state = err ? 'offline' : 'default',
+            fields = {
+              ssid: err ? null : _.truncate(out.match(/ESSID:"(.*?)"$/m)[1], {
+                length:     config.get('maxSsidLen'),
+                omission:   config.get('trunc')
+              })
+            };
+        this._transition(state, fields);
+
+        let output = this._render(state, fields);
 
         // Disconnected -> critical
         if (err)
@@ -662,68 +2111,324 @@ class SsidBlock extends EventBlock {
 
         if (prev !== this._output)
           this.emit('update');
-      });
-    }, config.get('netFudgeTimeout'));
+      }));
+    });
   }
 }
 
-class CurrentSongBlock extends MpdBlock {
-  _do_registration() {
-    this.emitter.on('ready', () => {
-      this._register(['system-player', 'system-playlist']);
+
+// Calls back with the contents of a file, or null if it doesn't exist
+function readIfExists(file, cb) {
+  fs.readFile(file, 'utf8', (err, data) => {
+    if (err && err.code === 'ENOENT')
+      return cb(null, null);
+    cb(err, data);
+  });
+}
+
+// Byte counters from /proc/net/dev: { interface: { rx, tx } }
+function parseNetDev(data) {
+  let counters = {};
+  data.split('\n').slice(2).forEach((line) => {
+    let match = line.match(/^\s*([^:\s]+):\s*(.*)$/);
+    if (!match)
+      return;
+
+    let fields = match[2].trim().split(/\s+/).map(Number);
+    counters[match[1]] = {rx: fields[0], tx: fields[8]};
+  });
+  return counters;
+}
+
+// Link quality in % from /proc/net/wireless: { interface: quality }
+function parseNetWireless(data) {
+  let quality = {};
+  data.split('\n').slice(2).forEach((line) => {
+    let match = line.match(/^\s*([^:\s]+):\s*\S+\s+([\d.]+)/);
+    if (match)
+      quality[match[1]] = Math.min(Math.round(Number(match[2]) * 100 / 70), 100);
+  });
+  return quality;
+}
+
+const NETWORK_DETAILS = ['default', 'addresses', 'full'];
+
+// Shows network interfaces: addresses, wifi signal quality from
+// /proc/net/wireless and rates from /proc/net/dev, or airplane mode when
+// every radio in /sys/class/rfkill is blocked
+// interfaces lists the interfaces to show, even when down; otherwise every
+// interface which is up is shown
+// Clicking cycles through the detail levels default, addresses and full,
+// which are states with their own formats
+class NetworkBlock extends IntervalBlock {
+  constructor(interfaces, interval) {
+    super(interval || 'sysInterval');
+    this.interfaces = interfaces || null;
+    this.detail = 0;
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:    ' {name}{?quality} {quality}%{/quality} ',
+      addresses:  ' {name}{?ipv4} {ipv4}{/ipv4}{?ipv6} {ipv6}{/ipv6} ',
+      full:       ' {name}{?quality} {quality}%{/quality}{?ipv4} {ipv4}{/ipv4} ↓{down} ↑{up} ',
+      down:       ' {name} down ',
+      offline:    ' offline ',
+      airplane:   ' ✈ '
     });
   }
 
+  _notifications() {
+    return {
+      airplane:   'Airplane mode on'
+    };
+  }
+
+  // Cycle detail levels
+  action() {
+    this.detail = (this.detail + 1) % NETWORK_DETAILS.length;
+    this.update();
+  }
+
   update() {
-    this.emitter.sendCommand(mpdCmd('currentsong', []), (err, data) => {
+    let proc = config.get('procRoot'),
+        sys = config.get('sysRoot');
+
+    async.parallel({
+      names:    (cb) => fs.readdir(path.join(sys, 'class', 'net'), cb),
+      dev:      (cb) => fs.readFile(path.join(proc, 'net', 'dev'), 'utf8', cb),
+      wireless: (cb) => readIfExists(path.join(proc, 'net', 'wireless'), cb),
+      rfkill:   this._rfkill.bind(this)
+    }, this._guard((err, data) => {
       if (err) {
         this.emit('error', err);
         return;
       }
 
-      // Save previous output
-      let prev = this._output;
+      let names = this.interfaces || data.names.filter((name) => name !== 'lo');
+      async.map(names, this._link.bind(this), this._guard((err, links) => {
+        if (err) {
+          this.emit('error', err);
+          return;
+        }
 
-      if (data) {
-        let stats = [];
+        this._show(links, data);
+      }));
+    }));
+  }
 
-        let matches  = [
-          data.match(/^Title: (.*?)$/m) || data.match(/^file: (.*?)$/m),
-          data.match(/^Artist: (.*?)$/m)
-        ];
+  // Link state and type of an interface, from /sys/class/net
+  _link(name, cb) {
+    let dir = path.join(config.get('sysRoot'), 'class', 'net', name),
+        exists = (file) => (cb) => fs.access(path.join(dir, file), (err) => cb(null, !err));
+
+    async.parallel({
+      operstate:  (cb) => readIfExists(path.join(dir, 'operstate'), cb),
+      wireless:   exists('wireless'),
+      tun:        exists('tun_flags')
+    }, (err, link) => {
+      cb(err, link && Object.assign(link, {name: name}));
+    });
+  }
 
-        matches.forEach((match) => {
-          if (match)
-            stats.push(match[1]);
+  // Radios, from /sys/class/rfkill: [{ type, blocked }]
+  _rfkill(cb) {
+    let dir = path.join(config.get('sysRoot'), 'class', 'rfkill');
+    fs.readdir(dir, (err, names) => {
+      if (err)
+        return cb(err.code === 'ENOENT' ? null : err, []);
+
+      async.map(names, (name, cb) => {
+        async.map(['type', 'soft', 'hard'], (file, cb) => {
+          readIfExists(path.join(dir, name, file), cb);
+        }, (err, values) => {
+          cb(err, values && {
+            type:     (values[0] || '').trim(),
+            blocked:  Number(values[1]) === 1 || Number(values[2]) === 1
+          });
         });
+      }, cb);
+    });
+  }
+
+  _show(links, data) {
+    // Save previous output
+    let prev = this._output;
+
+    let counters = parseNetDev(data.dev),
+        quality = parseNetWireless(data.wireless || ''),
+        addresses = os.networkInterfaces(),
+        now = Date.now(),
+        last = this._last;
+    this._last = {time: now, counters: counters};
+
+    // Bytes per second since the last update
+    let rate = (name, key) => {
+      if (!last || !last.counters[name] || !counters[name] || now <= last.time)
+        return 0;
+      return Math.max(counters[name][key] - last.counters[name][key], 0) * 1000 / (now - last.time);
+    };
+
+    let shown = links.map((link) => {
+      let addrs = addresses[link.name] || [],
+          ipv4 = addrs.find((a) => a.family === 'IPv4' || a.family === 4),
+          ipv6 = _.sortBy(addrs.filter((a) => a.family === 'IPv6' || a.family === 6), 'scopeid')[0],
+          operstate = (link.operstate || '').trim();
+
+      return {
+        // Tunnels don't know their state, but have addresses once up
+        connected:  operstate === 'up' || operstate === 'unknown' && addrs.length > 0,
+        name:       link.name,
+        type:       link.wireless || quality[link.name] !== undefined ? 'wifi' :
+                    link.tun || /^(tun|tap|wg|ppp)/.test(link.name) ? 'vpn' : 'wired',
+        state:      operstate,
+        ipv4:       ipv4 ? ipv4.address : null,
+        ipv6:       ipv6 ? ipv6.address : null,
+        quality:    quality[link.name] !== undefined ? quality[link.name] : null,
+        down:       `${util.formatBytes(rate(link.name, 'rx'))}/s`,
+        up:         `${util.formatBytes(rate(link.name, 'tx'))}/s`
+      };
+    }).filter((iface) => iface.connected || this.interfaces);
+
+    let airplane = data.rfkill.length > 0 && data.rfkill.every((radio) => radio.blocked),
+        state = airplane ? 'airplane' : shown.some((iface) => iface.connected) ? 'default' : 'offline';
+    this._transition(state, {});
+
+    let output;
+    if (state !== 'default') {
+      output = util.addBG(this._render(state, {}), 'cUrgent');
+    } else {
+      output = shown.map((iface) => {
+        let fields = _.omit(iface, 'connected');
+        return iface.connected ?
+          this._render(NETWORK_DETAILS[this.detail], fields) :
+          util.addBG(this._render('down', fields), 'cUrgent');
+      }).join('');
+    }
+
+    this._output = util.addAction(output, null, null, [this.id], true);
+
+    if (prev !== this._output)
+      this.emit('update');
+  }
+}
+
+// A value from an mpd response, if there
+function mpdValue(data, key) {
+  let match = (data || '').match(new RegExp(`^${key}: (.*?)$`, 'm'));
+  return match ? match[1] : null;
+}
+
+// Seconds as m:ss
+function formatSeconds(seconds) {
+  if (seconds === null || Number.isNaN(seconds))
+    return null;
+  seconds = Math.floor(seconds);
+  return `${Math.floor(seconds / 60)}:${_.padStart(seconds % 60, 2, '0')}`;
+}
+
+// Clicking toggles scrolling long songs instead of truncating them
+class CurrentSongBlock extends MpdBlock {
+  constructor() {
+    super();
+    this.scrolling = config.get('marquee');
+    this.marquee = new Marquee(this._guard(this._show));
+  }
+
+  stop() {
+    super.stop();
+    this.marquee.stop();
+  }
+
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:  ' {title}{?artist} - {artist}{/artist} ',
+      stopped:  ' no tunes '
+    });
+  }
+
+  _do_registration() {
+    this._register(['system-player', 'system-playlist']);
+  }
+
+  action() {
+    this.scrolling = !this.scrolling;
+    this._show();
+  }
 
-        this._output = ` ${_.trunc(stats.join(' - '), {
-          length:     config.get('maxLen'),
-          omission:   config.get('trunc')
-        })} `;
-      } else {
-        // Nothing playing
-        this._output = ' no tunes ';
+  // elapsed is as of the last player event
+  update() {
+    this.emitter.call('sendCommand', mpdCmd('currentsong', []), this._guard((err, data) => {
+      if (err) {
+        this.emit('error', err);
+        return;
       }
 
-      if (prev !== this._output)
-        this.emit('update');
+      this.emitter.call('sendCommand', mpdCmd('status', []), this._guard((err, status) => {
+        if (err) {
+          this.emit('error', err);
+          return;
+        }
+
+        this.song = data;
+        this.status = status;
+        this._show();
+      }));
+    }));
+  }
+
+  // Show the last song
+  _show() {
+    if (this.song === undefined)
+      return;
+
+    // Save previous output
+    let prev = this._output,
+        data = this.song;
+
+    // Scrolling shows everything
+    let truncate = (str) => {
+      return str && !this.scrolling ? _.truncate(str, {
+        length:     config.get('maxLen'),
+        omission:   config.get('trunc')
+      }) : str;
+    };
+
+    // Nothing playing without data
+    let output = this._render(data ? 'default' : 'stopped', {
+      title:    truncate(mpdValue(data, 'Title') || mpdValue(data, 'file')),
+      artist:   truncate(mpdValue(data, 'Artist')),
+      album:    truncate(mpdValue(data, 'Album')),
+      file:     mpdValue(data, 'file'),
+      duration: formatSeconds(Number.parseFloat(mpdValue(data, 'Time'))),
+      elapsed:  formatSeconds(Number.parseFloat(mpdValue(this.status, 'elapsed')))
     });
+
+    this.marquee.begin();
+    if (this.scrolling)
+      output = this.marquee.frame(output, config.get('maxLen'));
+    this.marquee.end();
+
+    this._output = util.addAction(output, null, null, [this.id], true);
+
+    if (prev !== this._output)
+      this.emit('update');
   }
 }
 
 class PlayStatusBlock extends MpdBlock {
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {icon} '});
+  }
+
   _do_registration() {
-    this.emitter.on('ready', () => {
-      this._register(['system-player', 'system-playlist', 'system-options']);
-    });
+    this._register(['system-player', 'system-playlist', 'system-options']);
   }
 
   update() {
-    if (this.fudge)
-      clearTimeout(this.fudge);
-    this.fudge = setTimeout(() => {
-      this.emitter.sendCommand(mpdCmd('status', []), (err, data) => {
+    this._clear(this.fudge);
+    this.fudge = this._after(config.get('mpdFudgeTimeout'), () => {
+      this.emitter.call('sendCommand', mpdCmd('status', []), this._guard((err, data) => {
         if (err) {
           this.emit('error', err);
           return;
@@ -732,39 +2437,193 @@ class PlayStatusBlock extends MpdBlock {
         // Save previous output
         let prev = this._output;
 
+        // Nothing playing without data
+        let state = data && mpdValue(data, 'state'),
+            playing = '♪';
+
         if (data) {
-          let playing = '♪';
-          let playingMatch = data.match(/^state: (.*?)$/m);
-          if (playingMatch) {
-            switch (playingMatch[1]) {
-              case 'play':
-                playing = '▶';
-                break;
-              case 'pause':
-                playing = '‖';
-                break;
-              case 'stop':
-                playing = '■';
-                break;
-              default:
-                // Do nothing
-            }
+          switch (state) {
+            case 'play':
+              playing = '▶';
+              break;
+            case 'pause':
+              playing = '‖';
+              break;
+            case 'stop':
+              playing = '■';
+              break;
+            default:
+              // Do nothing
           }
 
-          let playButton = util.addAction(` ${playing} `, 'mpc toggle')
+          let playButton = util.addAction(this._render(state || 'default', {
+                icon:   playing,
+                state:  state
+              }), 'mpc toggle')
             , nextButton = util.addAction(' > ', 'mpc next')
             , prevButton = util.addAction(' < ', 'mpc prev');
 
           this._output = prevButton + playButton + nextButton;
         } else {
-          // Nothing playing
-          this._output = ' ♪ ';
+          this._output = this._render('default', {icon: playing, state: null});
         }
 
         if (prev !== this._output)
           this.emit('update');
+      }));
+    });
+  }
+}
+
+
+// Abstract block for MPRIS media players, followed with playerctl
+// player fixes the player to show; otherwise players which are playing come
+// first, then those in mprisPreferred in order, then the last active
+// Players in mprisIgnored are never shown
+// Player names match with or without their instance, e.g. firefox for
+// firefox.instance123
+class MprisBlock extends EventBlock {
+  constructor(player) {
+    super('playerctl');
+    this.player = player || null;
+    this.players = {};
+    this._seq = 0;            // Orders changes, for the last active player
+  }
+
+  _do_registration() {
+    this._listen(this.emitter, 'player', this._guard(this._changed));
+    this._register(['vanished']);
+  }
+
+  // A player changed
+  _changed(player) {
+    this.players[player.name] = Object.assign(player, {active: ++this._seq});
+    this._show(this._choose());
+  }
+
+  // Ask for every player, e.g. when one went away
+  update() {
+    let asked = this._seq;
+
+    this.emitter.call('players', this._guard((err, players) => {
+      if (err) {
+        this.emit('error', err);
+        return;
+      }
+
+      let previous = this.players;
+      this.players = {};
+      players.forEach((player) => {
+        this.players[player.name] = Object.assign(player, {
+          active: previous[player.name] ? previous[player.name].active : 0
+        });
+      });
+
+      // Changes since we asked are newer than the answer
+      _.forEach(previous, (player, name) => {
+        if (player.active > asked)
+          this.players[name] = player;
+      });
+
+      this._show(this._choose());
+    }));
+  }
+
+  // The player to show, if any
+  _choose() {
+    let matches = (name, player) => name === player.name || name === player.name.split('.')[0],
+        preferred = config.get('mprisPreferred'),
+        ignored = config.get('mprisIgnored');
+
+    let rank = (player) => {
+      let i = _.findIndex(preferred, (name) => matches(name, player));
+      return i === -1 ? preferred.length : i;
+    };
+
+    let players = _.values(this.players).filter((player) => {
+      return this.player ? matches(this.player, player) :
+        !ignored.some((name) => matches(name, player));
+    });
+
+    return _.sortBy(players, [
+      (player) => player.status === 'Playing' ? 0 : 1,
+      rank,
+      (player) => -player.active
+    ])[0];
+  }
+
+  // Show a player, or that there is none
+  // abstract _show(player);
+}
+
+
+// Track of the chosen MPRIS player
+class MprisSongBlock extends MprisBlock {
+  _formats() {
+    return Object.assign(super._formats(), {
+      default:  ' {title}{?artist} - {artist}{/artist} ',
+      stopped:  ' no tunes '
+    });
+  }
+
+  _show(player) {
+    // Save previous output
+    let prev = this._output;
+
+    let truncate = (str) => {
+      return str && _.truncate(str, {
+        length:     config.get('maxLen'),
+        omission:   config.get('trunc')
       });
-    }, config.get('mpdFudgeTimeout'));
+    };
+
+    player = player || {};
+    this._output = this._render(player.title && player.status !== 'Stopped' ? 'default' : 'stopped', {
+      player:   player.name,
+      status:   player.status,
+      title:    truncate(player.title),
+      artist:   truncate(player.artist),
+      album:    truncate(player.album),
+      duration: player.duration
+    });
+
+    if (prev !== this._output)
+      this.emit('update');
+  }
+}
+
+
+// Play state of the chosen MPRIS player, with prev/toggle/next buttons
+class MprisStatusBlock extends MprisBlock {
+  _formats() {
+    return Object.assign(super._formats(), {default: ' {icon} '});
+  }
+
+  _show(player) {
+    // Save previous output
+    let prev = this._output;
+
+    if (player) {
+      let state = {Playing: 'play', Paused: 'pause', Stopped: 'stop'}[player.status],
+          icon = {play: '▶', pause: '‖', stop: '■'}[state] || '♪',
+          command = (action) => `playerctl --player=${ipc.quote(player.name)} ${action}`;
+
+      let playButton = util.addAction(this._render(state || 'default', {
+            icon:   icon,
+            state:  state,
+            player: player.name
+          }), command('play-pause'))
+        , nextButton = util.addAction(' > ', command('next'))
+        , prevButton = util.addAction(' < ', command('previous'));
+
+      this._output = prevButton + playButton + nextButton;
+    } else {
+      // Nothing playing
+      this._output = this._render('default', {icon: '♪', state: null, player: null});
+    }
+
+    if (prev !== this._output)
+      this.emit('update');
   }
 }
 
@@ -773,6 +2632,7 @@ module.exports = {
   StaticBlock:        StaticBlock,
   ExpandableBlock:    ExpandableBlock,
   AnimatedExpandableBlock: AnimatedExpandableBlock,
+  ModeBlock:          ModeBlock,
   IntervalBlock:      IntervalBlock,
   EventBlock:         EventBlock,
   I3Block:            I3Block,
@@ -780,14 +2640,27 @@ module.exports = {
   DatetimeBlock:      DatetimeBlock,
   WeatherBlock:       WeatherBlock,
   ProcBlock:          ProcBlock,
+  CommandBlock:       CommandBlock,
+  PersistentCommandBlock: PersistentCommandBlock,
+  ResourceBlock:      ResourceBlock,
+  CpuBlock:           CpuBlock,
+  MemoryBlock:        MemoryBlock,
+  LoadBlock:          LoadBlock,
+  DiskBlock:          DiskBlock,
+  TemperatureBlock:   TemperatureBlock,
+  UpdatesBlock:       UpdatesBlock,
   YumUpdateBlock:     YumUpdateBlock,
   WorkspaceBlock:     WorkspaceBlock,
   TitleBlock:         TitleBlock,
   I3ModeBlock:        I3ModeBlock,
   BatteryBlock:       BatteryBlock,
   VolumeBlock:        VolumeBlock,
+  MicrophoneBlock:    MicrophoneBlock,
   SsidBlock:          SsidBlock,
+  NetworkBlock:       NetworkBlock,
   CurrentSongBlock:   CurrentSongBlock,
   PlayStatusBlock:    PlayStatusBlock,
+  MprisSongBlock:     MprisSongBlock,
+  MprisStatusBlock:   MprisStatusBlock,
 };
 
@@ -1,71 +1,565 @@
 'use strict';
 
+const _             = require('lodash');
 const EventEmitter  = require('events');
 const childProcess  = require('child_process');
 
 const util          = require('./util');
+const config        = require('./config');
+const wm            = require('./wm');
 
+// Events about the supervisor itself, which are never forwarded
+const OWN_EVENTS = ['connected', 'disconnected', 'error', 'newListener', 'removeListener'];
 
-class Iwevent extends EventEmitter {
-  constructor() {
+// What playerctl prints about each player
+const PLAYER_FIELDS = ['name', 'status', 'artist', 'title', 'album', 'duration'],
+      PLAYER_FORMAT = ['{{playerName}}', '{{status}}', '{{artist}}', '{{title}}', '{{album}}',
+                       '{{duration(mpris:length)}}'].join('\t');
+
+// Root window properties followed for EWMH window managers
+const EWMH_PROPS = ['_NET_NUMBER_OF_DESKTOPS', '_NET_DESKTOP_NAMES', '_NET_CURRENT_DESKTOP',
+                    '_NET_ACTIVE_WINDOW', '_NET_CLIENT_LIST'];
+
+
+// Reads lines from a long running process
+// Emits 'ready' once it is running, 'line' for each line unless _line is
+// overridden, and 'close' when it exits
+// Blank lines go to _blank, which ignores them
+class ProcessReader extends EventEmitter {
+  constructor(cmd, args, options) {
     super();
-    let proc = childProcess.spawn('iwevent');
+    this.proc = childProcess.spawn(cmd, args || [], options);
 
-    util.onCleanup(() => {
-      proc.kill();
+    // Writes racing with an exit are reported by 'close'
+    this.proc.stdin.on('error', () => {});
+
+    this.proc.on('spawn', () => {
+      this.emit('ready');
+    });
+    this.proc.on('error', (err) => {
+      this.emit('error', err);
     });
+    this.proc.on('exit', (code, signal) => {
+      this.emit('close', new Error(`${cmd} exited with ${signal || code}`));
+    });
+
+    let buffer = '';
+    this.proc.stdout.on('data', (data) => {
+      let lines = (buffer + data.toString()).split('\n');
+      buffer = lines.pop();
 
-    proc.stdout.on('data', (data) => {
-      let lines = data.toString().split('\n');
       for (let line of lines) {
-        if (!line)
-          continue;
+        if (line.trim())
+          this._line(line);
+        else
+          this._blank();
+      }
+    });
+  }
+
+  _line(line) {
+    this.emit('line', line);
+  }
 
-        let parts = line.trim().split('   ');
-        let type = parts[2].split('/')[0];
-        type = type.split(':')[0];
-        let src = parts[1];
+  _blank() {
+  }
 
-        this.emit(type, src);
-      }
+  write(text) {
+    this.proc.stdin.write(text);
+  }
+
+  kill() {
+    this.proc.kill();
+  }
+}
+
+class Iwevent extends ProcessReader {
+  constructor() {
+    super('iwevent');
+  }
+
+  _line(line) {
+    let parts = line.trim().split('   ');
+    if (parts.length < 3)
+      return;
+
+    let type = parts[2].split('/')[0];
+    type = type.split(':')[0];
+    let src = parts[1];
+
+    this.emit(type, src);
+  }
+}
+
+class Pactl extends ProcessReader {
+  constructor() {
+    super('pactl', ['subscribe']);
+  }
+
+  _line(line) {
+    let parts = line.trim().replace(/^Event\s+|'/g,'').split(' on ');
+    if (parts.length < 2)
+      return;
+
+    let info = parts[1].split(' ');
+
+    let type = `${parts[0]}_${info[0]}`,
+        src = info[1];
+
+    this.emit(type, src);
+  }
+}
+
+
+// A player from a line of playerctl output
+function parsePlayer(line) {
+  return _.zipObject(PLAYER_FIELDS, line.split('\t'));
+}
+
+// Follows every MPRIS player with playerctl
+// Emits 'player' with { name, status, artist, title, album, duration }
+// whenever one changes, and 'vanished' when one goes away
+class Playerctl extends ProcessReader {
+  constructor() {
+    super('playerctl', ['--all-players', '--follow', 'metadata', '--format', PLAYER_FORMAT]);
+  }
+
+  _line(line) {
+    this.emit('player', parsePlayer(line));
+  }
+
+  // playerctl prints a blank line for players which exit
+  _blank() {
+    this.emit('vanished');
+  }
+
+  // Calls back with every player, as for 'player'
+  players(cb) {
+    childProcess.execFile('playerctl', ['--all-players', 'metadata', '--format', PLAYER_FORMAT],
+        (err, out, stderr) => {
+      // No players is an error to playerctl
+      if (err && /no players/i.test(stderr))
+        return cb(null, []);
+      if (err)
+        return cb(err);
+
+      cb(null, out.split('\n').filter((line) => line.trim()).map(parsePlayer));
     });
   }
 }
 
-class Pactl extends EventEmitter {
+
+// A window from a line of wmctrl -lx: id, desktop, instance.class, host, title
+// Sticky windows are on desktop -1
+function parseWmctrl(line) {
+  let match = line.match(/^(0x[\da-f]+)\s+(-?\d+)\s+(\S+)\s+\S+\s?(.*)$/i);
+  if (!match)
+    return null;
+
+  let wmClass = match[3].split('.');
+  return {
+    id:       Number.parseInt(match[1], 16),
+    desktop:  Number(match[2]),
+    instance: wmClass[0],
+    class:    wmClass.slice(1).join('.'),
+    title:    match[4]
+  };
+}
+
+// Follows an EWMH window manager's desktops and active window with xprop,
+// answering workspaces, tree and outputs like the i3 client
+// Desktops are workspaces numbered from 1, and the tree only has workspaces
+// and their windows, listed with wmctrl
+// Calls are answered in order, as i3 answers them, so a block never gets an
+// older answer after a newer one
+// Emits 'workspace' and 'window' when they change, including the title of
+// the active window
+class Ewmh extends ProcessReader {
   constructor() {
+    super('xprop', ['-root', '-spy'].concat(EWMH_PROPS));
+    this.desktops = 0;
+    this.names = [];
+    this.current = null;
+    this.active = null;
+    this.windows = null;
+    this._calls = [];
+    this._title = null;
+
+    this.on('close', this._followTitle.bind(this, null));
+  }
+
+  // Run work(done) once earlier calls are answered, then call back
+  _inOrder(work, cb) {
+    this._calls.push({work: work, cb: cb});
+    if (this._calls.length === 1)
+      this._answer();
+  }
+
+  _answer() {
+    let call = this._calls[0];
+    if (!call)
+      return;
+
+    call.work((...args) => {
+      this._calls.shift();
+      this._answer();
+      call.cb(...args);
+    });
+  }
+
+  // e.g. _NET_CURRENT_DESKTOP(CARDINAL) = 1
+  // or _NET_ACTIVE_WINDOW(WINDOW): window id # 0x1c00007
+  _line(line) {
+    let match = line.match(/^(\w+)\(\w+\)(?: =|:) (.*)$/);
+    if (!match)
+      return;
+
+    let value = match[2];
+    switch (match[1]) {
+      case '_NET_NUMBER_OF_DESKTOPS':
+        this.desktops = Number(value);
+        break;
+      case '_NET_DESKTOP_NAMES':
+        this.names = (value.match(/"(?:[^"\\]|\\.)*"/g) || []).map((name) => JSON.parse(name));
+        break;
+      case '_NET_CURRENT_DESKTOP':
+        this.current = Number(value);
+        break;
+      case '_NET_ACTIVE_WINDOW':
+        this.active = Number.parseInt((value.match(/0x[\da-f]+/i) || ['0'])[0], 16) || null;
+        this._followTitle(this.active);
+        this.emit('window', {change: 'focus'});
+        return;
+      case '_NET_CLIENT_LIST':
+        this._clients((value.match(/0x[\da-f]+/gi) || []).length);
+        return;
+      default:
+        return;
+    }
+
+    this.emit('workspace', {change: 'focus'});
+  }
+
+  // Titles are properties of each window, so only the active window's is
+  // followed, with another xprop, which starts by printing the current one
+  _followTitle(id) {
+    if (this._title)
+      this._title.kill();
+    this._title = null;
+    if (!id)
+      return;
+
+    let title = new ProcessReader('xprop', ['-spy', '-id', String(id), '_NET_WM_NAME']),
+        last = null;
+    title.on('error', () => {});      // The window may be gone already
+    title.on('line', (line) => {
+      if (last !== null && line !== last)
+        this.emit('window', {change: 'title'});
+      last = line;
+    });
+    this._title = title;
+  }
+
+  kill() {
+    this._followTitle(null);
+    super.kill();
+  }
+
+  // Report new and closed windows as i3 does; moves between desktops aren't seen
+  _clients(count) {
+    let prev = this.windows;
+    this.windows = count;
+    if (prev !== null && count !== prev)
+      this.emit('window', {change: count > prev ? 'new' : 'close'});
+  }
+
+  workspaces(cb) {
+    this._inOrder((done) => done(null, _.range(this.desktops).map((i) => {
+      return {
+        num:      i + 1,
+        name:     this.names[i] || String(i + 1),
+        focused:  i === this.current,
+        visible:  i === this.current,
+        urgent:   false,
+        output:   null
+      };
+    })), cb);
+  }
+
+  // Workspaces with their windows, as i3 nodes; sticky windows are above them
+  tree(cb) {
+    this._inOrder((done) => childProcess.execFile('wmctrl', ['-lx'], (err, out) => {
+      if (err)
+        return done(err);
+
+      let node = (type, props) => Object.assign({type: type, nodes: [], floating_nodes: []}, props),
+          root = node('root', {nodes: _.range(this.desktops).map((i) => node('workspace', {
+            name: this.names[i] || String(i + 1),
+            num:  i + 1
+          }))});
+
+      out.split('\n').map(parseWmctrl).filter(_.identity).forEach((win) => {
+        let parent = root.nodes[win.desktop] || root;
+        parent.nodes.push(node('con', {
+          id:       win.id,
+          window:   win.id,
+          name:     win.title,
+          focused:  win.id === this.active,
+          sticky:   win.desktop === -1,
+          window_properties: {class: win.class, instance: win.instance}
+        }));
+      });
+
+      // i3 focuses workspaces without a focused window
+      let current = root.nodes[this.current];
+      if (current && !Array.from(util.getDescendants(root)).some((n) => n.focused))
+        current.focused = true;
+
+      done(null, root);
+    }), cb);
+  }
+
+  // Monitors aren't part of EWMH
+  outputs(cb) {
+    cb(new Error('EWMH window managers have no outputs'));
+  }
+}
+
+
+// Sway's tree, with windows as i3 has them: Wayland windows have an app_id
+// instead of X properties, and no X window, and floating ones are floating_con
+function swayTree(root) {
+  for (let node of util.getDescendants(root)) {
+    if (node.type === 'floating_con')
+      node.type = 'con';
+    if (!node.window && node.pid)
+      node.window = node.id;
+    if (node.app_id && !node.window_properties)
+      node.window_properties = {class: node.app_id, instance: node.app_id};
+  }
+  return root;
+}
+
+
+// Keeps a client alive, recreating it with exponential backoff when it dies
+// create(connected, died) makes a client, calling connected() once it is
+// usable and died(err) when it is gone
+// Listeners are kept across restarts: events of the current client are
+// forwarded, and it is only asked for events somebody listens to
+// Emits 'connected' and 'disconnected'
+class Supervisor extends EventEmitter {
+  constructor(name, create) {
     super();
-    let proc = childProcess.spawn('pactl', ['subscribe']);
+    this.setMaxListeners(0);
+
+    this.name = name;
+    this.client = null;
+    this.connected = null;     // Not known yet
+    this._create = create;
+    this._wanted = new Set();
+    this._backoff = config.get('clientBackoffMin');
+    this._stopped = false;
 
-    util.onCleanup(() => {
-      proc.kill();
+    this._cleanup = util.onCleanup(() => {
+      if (this.client && this.client.kill)
+        this.client.kill();
     });
 
-    proc.stdout.on('data', (data) => {
-      let lines = data.toString().split('\n');
-      for (let line of lines) {
-        line = line.trim()
-        if (!line)
-          continue;
+    this._start();
+  }
 
-        let parts = line.replace(/^Event\s+|'/g,'').split(' on ');
-        let info = parts[1].split(' ');
+  // Kill the client for good
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    util.offCleanup(this._cleanup);
 
-        let type = `${parts[0]}_${info[0]}`,
-            src = info[1];
+    if (this.client && this.client.kill)
+      this.client.kill();
+    this.client = null;
+    this.connected = false;
+  }
 
-        this.emit(type, src);
-      }
+  on(event, listener) {
+    this._want(event);
+    return super.on(event, listener);
+  }
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  // Forward an event from this and every later client
+  _want(event) {
+    if (OWN_EVENTS.indexOf(event) > -1 || this._wanted.has(event))
+      return;
+
+    this._wanted.add(event);
+    if (this.client)
+      this._forward(this.client, event);
+  }
+
+  _forward(client, event) {
+    client.on(event, (...args) => {
+      if (client === this.client)
+        this.emit(event, ...args);
     });
   }
+
+  // Call a method of the client, if connected
+  // Calls while disconnected are dropped; blocks catch up on 'connected'
+  call(method, ...args) {
+    if (this.connected)
+      this.client[method](...args);
+  }
+
+  _start() {
+    let client = null,
+        dead = false;
+
+    let connected = () => {
+      if (dead)
+        return;
+
+      this._backoff = config.get('clientBackoffMin');
+      if (this.connected === false)
+        util.logError(`${this.name} reconnected`);
+      this.connected = true;
+      this.emit('connected');
+    };
+
+    let died = (err) => {
+      if (dead)
+        return;
+      dead = true;
+
+      if (this._stopped)
+        return;
+
+      if (client && client.kill)
+        client.kill();
+      this.client = null;
+
+      // Only log the first failure in a row
+      if (this.connected !== false) {
+        util.logError(`${this.name} disconnected${err ? `: ${err.message}` : ''}`);
+        this.connected = false;
+        this.emit('disconnected', err);
+      }
+
+      this._timer = setTimeout(this._start.bind(this), this._backoff);
+      this._backoff = Math.min(this._backoff * 2, config.get('clientBackoffMax'));
+    };
+
+    try {
+      client = this._create(connected, died);
+    } catch (e) {
+      died(e);
+      return;
+    }
+
+    this.client = client;
+    this._wanted.forEach(this._forward.bind(this, client));
+  }
 }
 
 
-module.exports = {
-  i3:         require('i3').createClient(),
-  acpi:       require('acpi')(),
-  mpd:        require('mpd').connect(),
-  iwevent:    new Iwevent(),
-  pactl:      new Pactl()
+const FACTORIES = {
+  // i3 or sway, or EWMH window managers with the same calls and events
+  wm: (connected, died) => {
+    if (wm.kind() === 'ewmh') {
+      let client = new Ewmh();
+      client.on('ready', connected);
+      client.on('error', died);
+      client.on('close', died);
+      return client;
+    }
+
+    let client = require('i3').createClient({path: wm.socketPath()});
+    if (wm.kind() === 'sway') {
+      let tree = client.tree.bind(client);
+      client.tree = (cb) => tree((err, data) => cb(err, data && swayTree(data)));
+    }
+
+    client.on('error', died);
+    client.on('connect', () => {
+      // The socket is only set right after 'connect'
+      setImmediate(() => {
+        client._stream.on('close', () => died());
+        connected();
+      });
+    });
+    client.kill = () => {
+      if (client._stream)
+        client._stream.destroy();
+    };
+    return client;
+  },
+
+  acpi: (connected, died) => {
+    let client = require('acpi')();
+    client.on('connect', connected);
+    client.on('error', died);
+    client.on('close', () => died());
+    client.kill = client.destroy.bind(client);
+    return client;
+  },
+
+  mpd: (connected, died) => {
+    let client = require('mpd').connect();
+    client.on('ready', connected);
+    client.on('error', died);
+    client.on('end', () => died());
+    client.kill = () => {
+      client.socket.destroy();
+    };
+    return client;
+  },
+
+  iwevent: (connected, died) => {
+    let client = new Iwevent();
+    client.on('ready', connected);
+    client.on('error', died);
+    client.on('close', died);
+    return client;
+  },
+
+  pactl: (connected, died) => {
+    let client = new Pactl();
+    client.on('ready', connected);
+    client.on('error', died);
+    client.on('close', died);
+    return client;
+  },
+
+  playerctl: (connected, died) => {
+    let client = new Playerctl();
+    client.on('ready', connected);
+    client.on('error', died);
+    client.on('close', died);
+    return client;
+  }
 };
 
+
+// Clients are only started the first time they are used
+let started = {};
+Object.keys(FACTORIES).forEach((name) => {
+  Object.defineProperty(module.exports, name, {
+    enumerable: true,
+    get: () => {
+      if (!started[name])
+        started[name] = new Supervisor(name, FACTORIES[name]);
+      return started[name];
+    }
+  });
+});
+
+// The window manager client was i3's before others were supported
+Object.defineProperty(module.exports, 'i3', {
+  enumerable: true,
+  get: () => module.exports.wm
+});
+
+module.exports.Supervisor = Supervisor;
+module.exports.ProcessReader = ProcessReader;
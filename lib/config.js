@@ -1,10 +1,25 @@
 'use strict';
 
+const fs      = require('fs');
+const os      = require('os');
+const path    = require('path');
+const EventEmitter = require('events');
+
+const _       = require('lodash');
+
 
 // Manages all configuration
-class Config {
+// Settings are layered: defaults, then the config file, then overrides
+// Emits 'change' with the changed keys whenever settings change
+class Config extends EventEmitter {
   constructor(settings) {
+    super();
+    this.setMaxListeners(0);      // Every started block listens
+    this._defaults = Object.assign({}, settings);
+    this._fromFile = {};
+    this._overrides = {};
     this._settings = settings;
+    this.file = null;
   }
 
   get(key) {
@@ -12,27 +27,195 @@ class Config {
   }
 
   set(key, val) {
-    this._settings[key] = val;
+    let obj = {};
+    obj[key] = val;
+    this.update(obj);
   }
 
   update(obj) {
-    Object.assign(this._settings, obj);
+    this._replace(Object.assign({}, this._settings, obj));
+  }
+
+  // Swap in new settings, announcing what changed
+  _replace(settings) {
+    let old = this._settings;
+    this._settings = settings;
+
+    let changed = _.union(Object.keys(old), Object.keys(settings)).filter((key) => {
+      return !_.isEqual(old[key], settings[key]);
+    });
+
+    if (changed.length)
+      this.emit('change', changed);
+  }
+
+  // Settings which take precedence over the config file, e.g. from the
+  // command line
+  override(obj) {
+    Object.assign(this._overrides, obj);
+    this.update(obj);
+  }
+
+  // Merge settings from a JSON file or JS module over the defaults
+  load(file) {
+    file = path.resolve(file);
+
+    let settings;
+    try {
+      if (path.extname(file) === '.js') {
+        delete require.cache[file];
+        settings = require(file);
+      } else {
+        settings = JSON.parse(fs.readFileSync(file, {encoding: 'utf8'}));
+      }
+    } catch (e) {
+      throw new Error(`Could not load config file ${file}: ${e.message}`);
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings))
+      throw new Error(`Config file ${file} must contain an object`);
+
+    this.file = file;
+    this._fromFile = settings;
+    this._replace(Object.assign({},
+        this._defaults, this._fromFile, this._overrides));
+  }
+
+  // Read the config file again
+  reload() {
+    if (this.file)
+      this.load(this.file);
+  }
+
+  // Reload whenever the config file changes
+  // Watches the directory, since editors often replace the file
+  // Errors are emitted, since there is nobody to throw them to
+  watch() {
+    let base = path.basename(this.file),
+        timer;
+
+    fs.watch(path.dirname(this.file), (event, name) => {
+      if (name !== base)
+        return;
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          this.reload();
+        } catch (e) {
+          this.emit('error', e);
+        }
+      }, this.get('watchDelay'));
+    });
+  }
+
+  // The first existing config file under ~/.config/lemonblocks, if any
+  findFile() {
+    let dir = path.join(process.env.XDG_CONFIG_HOME ||
+                        path.join(os.homedir(), '.config'), 'lemonblocks');
+
+    for (let name of ['config.js', 'config.json']) {
+      let file = path.join(dir, name);
+      if (fs.existsSync(file))
+        return file;
+    }
   }
 }
 
 
 module.exports = new Config({
   cBG:           '#ff000000',
+  cFG:           null,                  // lemonbar's default if unset
   cUrgent:       '#ffff0000',
+  cWarn:         '#ffaa5500',
   cAccent:       '#ff888888',
+  cVisible:      '#ff444444',           // For workspaces shown on other monitors
   cUnderline:    '#ff222222',
   cTransparent:  '#00000000',
 
-  lidOpenTimeout: 3000,
+  // Blocks to show in each section of the bar
+  // Each section is either a list of blocks or { separator, blocks }
+  // Each block is either a name or { type, args, blocks }
+  layout: {
+    left:   ['I3ModeBlock', 'WorkspaceBlock'],
+    center: ['DatetimeBlock'],
+    right:  {
+      separator: ' / ',
+      blocks: [
+        {type: 'WeatherBlock', args: ['San Diego, CA', 'C']},
+        'SsidBlock',
+        'PlayStatusBlock',
+        'VolumeBlock',
+        'BatteryBlock',
+      ],
+    },
+  },
+  separator:     '',                    // Default separator between blocks
+
+  // Output templates by block type, e.g. { BatteryBlock: { charging: '{percent}+' } }
+  // See lib/format.js
+  formats:       {},
+
+  // Alert levels by block type, e.g. { VolumeBlock: { warn: 80, critical: 100 } }
+  // See lib/threshold.js
+  thresholds:    {},
+  blinkInterval: 500,                   // For blocks flashing at the blink level
+
+  // Desktop notifications when blocks change state: 'notify-send', 'dbus'
+  // (via gdbus) or null for none
+  notify:        null,
+  notifySendCmd: 'notify-send',
+  notifyTimeout: 10 * 1000,             // How long notifications show
+  notifyInterval: 60 * 1000,            // At most one notification per block and state this often
+  // Notifications by block type, e.g. { SsidBlock: { offline: null } }
+  notifications: {},
+
+  // Named layouts to switch between, e.g. { default: layout, media: layout }
+  // If unset, layout is the only mode
+  modes:         null,
+  mode:          'default',             // Mode to start in
+  modeSignal:    'SIGUSR1',             // Signal to cycle modes
+  followI3Mode:  true,                  // Switch to modes named after i3 binding modes, if any
+
+  wm:            null,                  // i3, sway or ewmh; sway if SWAYSOCK is set, or else i3
+  wmSocket:      null,                  // IPC socket of i3 or sway, instead of I3SOCK or SWAYSOCK
+
+  output:        'lemonbar',            // lemonbar, i3bar, plain or tmux
+  multiMonitor:  false,                 // Section per i3 output, for lemonbar
+  shell:         '/bin/sh',             // Runs click actions, unless lemonbar is piped to a shell
+  actionLog:     null,                  // File to log failed click actions to, or stderr
+
+  // For --spawn, which runs lemonbar itself
+  spawn:         false,
+  lemonbarCmd:   'lemonbar',
+  barGeometry:   null,                  // e.g. 'x24'
+  barBottom:     false,
+  barForceDock:  false,
+  barFonts:      [],
+  barName:       'lemonblocks',
+  barClickableAreas: 64,
+  barUnderlineWidth: null,
+  barRestartTimeout: 1000,
+
+  watchConfig:   true,                  // Reload when the config file changes
+  watchDelay:    200,                   // Wait for writes to settle before reloading
+
+  clientBackoffMin: 1000,               // Reconnect delays for clients which die
+  clientBackoffMax: 60 * 1000,
+  strDisconnected: '✗',                 // Shown by blocks whose client is down
+  strError:      '!',                   // Shown by blocks which failed to update
+  errorRetryTimeout: 10 * 1000,         // Before failed blocks try again
+
+  pluginDir:     null,                  // Block plugins, or ~/.config/lemonblocks/blocks
+
+  lidOpenTimeout: null,                 // Update all blocks this long after the lid opens (acpid)
   termExec:      'urxvt256cc -name I3-FLOAT -e',
   restartBarCmd: 'startbar',
   fudgeTimeout:  50,
   maxLen:        50,
+  marquee:       false,                 // Long titles scroll instead of truncating
+  marqueeInterval: 300,                 // Per character scrolled
+  marqueeGap:    '   ',                 // Between the end and start of scrolling text
   strLoading:    '…',
   trunc:         '…',
   refreshFreq:   30 * 1000,             // For blocks that could be inaccurate
@@ -41,11 +224,37 @@ module.exports = new Config({
   dtLocale:      'ja',                  // For DatetimeBlock
   dtFmt:         'M月D日（dd）H:mm',    // For DatetimeBlock
   weatherInterval:  15 * 60 * 1000,     // For WeatherBlock
+  wsIcons:       false,                 // For WorkspaceBlock, show window icons by default
+  wsIconMap:     {},                    // For WorkspaceBlock, by lowercase window class or instance
+  wsIconDefault: '•',                   // For WorkspaceBlock, for classes without an icon
+  wsHideEmpty:   false,                 // For WorkspaceBlock, except the focused one
+  titleRewrites: {},                    // For TitleBlock, by lowercase class or instance: { regex: replacement }
+  // For TitleBlock, shown before the title of such windows
+  titleMarkers:  {floating: '◇', fullscreen: '▣', sticky: '⚲'},
+  // For TitleBlock, by button: kill, floating or fullscreen, e.g. {2: 'kill'}
+  titleButtons:  {},
+  batWarn:       25,                    // For BatteryBlock, in %
   batCritical:   15,                    // For BatteryBlock, in %
-  volPercent:    1,                     // For VolumeBlock
+  batBlink:      5,                     // For BatteryBlock, in %
+  batInterval:   10 * 1000,             // For BatteryBlock, for power and time
+  batEach:       false,                 // For BatteryBlock, show each pack
+  volPercent:    1,                     // For VolumeBlock and MicrophoneBlock, per scroll
+  volMax:        100,                   // For VolumeBlock and MicrophoneBlock, scrolling stops here
+  // For VolumeBlock and MicrophoneBlock, by device form factor or bus
+  audioIcons:    {sink: '♪', source: '●', headphone: '☊', headset: '☊', bluetooth: 'ᛒ'},
   netFudgeTimeout: 2000,                // For SsidBlock
   maxSsidLen:    20,                    // For SsidBlock
   yumUpdateFreq: 60 * 1000,             // For YumUpdateBlock
+  updateFreq:    60 * 60 * 1000,        // For UpdatesBlock
+  updateBackends: null,                 // For UpdatesBlock, e.g. ['dnf', 'flatpak'], or all installed
+  updateCmds:    {},                    // For UpdatesBlock, installing updates by package manager
+  commandButtons: [1, 2, 3, 4, 5],      // For CommandBlocks, buttons passed to the command
+  sysInterval:   5 * 1000,              // For CpuBlock, MemoryBlock, LoadBlock and TemperatureBlock
+  sysHistory:    10,                    // For resource blocks, values in graphs
+  sysBarWidth:   5,                     // For resource blocks, width of bars
+  procRoot:      '/proc',               // For resource blocks
+  sysRoot:       '/sys',                // For resource blocks, NetworkBlock and BatteryBlock
   mpdFudgeTimeout:  50,                 // For MpdBlocks
+  mprisPreferred: [],                   // For MPRIS blocks, players to show first, e.g. ['spotify']
+  mprisIgnored:  [],                    // For MPRIS blocks, players never to show
 });
-
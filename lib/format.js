@@ -0,0 +1,176 @@
+'use strict';
+
+const _       = require('lodash');
+
+const config  = require('./config');
+
+// Templates for block output
+// {field} is replaced by a field's value
+// {field:spec} pads or truncates it, with spec = [<>^][0][width][.max]:
+//   < > ^ align left, right or center (numbers go right by default),
+//   0 pads numbers with zeros, and max truncates with trunc
+// {?field}...{/field} is only shown if the field is set, i.e. not
+// undefined, null, false or ''; {!field}...{/field} only if it isn't
+// {{ and }} are literal braces; lemonbar's %{...} is left alone
+// Values are shown as they are, with % escaped as %%, so window titles or
+// command output can't add markup like clickable areas
+
+const SPEC_REGEX = /^([<>^])?(0)?(\d+)?(?:\.(\d+))?$/;
+
+// Lemonbar commands, as opposed to a % followed by a field, e.g. {usage}%{/usage}
+const MARKUP_REGEX = /^%\{([lcrR]\}|[BFU][#-]|[-+!][uo]|A[\d:}]|[OTS][-+\d])/;
+
+// Compiled templates, by template
+let cache = {};
+
+// Parse a template into a list of nodes:
+// strings, { field, spec } and { section, negate, nodes }
+// A % which doesn't start markup is a literal %, escaped as %% in the strings
+function compile(template) {
+  if (cache[template])
+    return cache[template];
+
+  let root = {nodes: []},
+      stack = [root],
+      text = '',
+      i = 0;
+
+  let top = () => stack[stack.length - 1];
+  let flush = () => {
+    if (text)
+      top().nodes.push(text);
+    text = '';
+  };
+
+  while (i < template.length) {
+    let c = template[i];
+
+    if ((c === '{' || c === '}') && template[i + 1] === c) {
+      text += c;
+      i += 2;
+      continue;
+    }
+
+    // Markup passes through as is
+    if (MARKUP_REGEX.test(template.slice(i, i + 5))) {
+      let end = template.indexOf('}', i);
+      if (end === -1)
+        throw new Error(`Unclosed markup in template "${template}"`);
+      text += template.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (c === '}')
+      throw new Error(`Unexpected } in template "${template}"`);
+
+    if (c !== '{') {
+      text += c === '%' ? '%%' : c;
+      i++;
+      continue;
+    }
+
+    let end = template.indexOf('}', i);
+    if (end === -1)
+      throw new Error(`Unclosed { in template "${template}"`);
+
+    let tag = template.slice(i + 1, end);
+    i = end + 1;
+    flush();
+
+    if (tag[0] === '?' || tag[0] === '!') {
+      let section = {section: tag.slice(1), negate: tag[0] === '!', nodes: []};
+      top().nodes.push(section);
+      stack.push(section);
+    } else if (tag[0] === '/') {
+      if (stack.length === 1 || top().section !== tag.slice(1))
+        throw new Error(`Unexpected {${tag}} in template "${template}"`);
+      stack.pop();
+    } else {
+      let parts = tag.split(':'),
+          spec = parts[1] !== undefined ? SPEC_REGEX.exec(parts[1]) : [];
+      if (!spec)
+        throw new Error(`Invalid format "${parts[1]}" in template "${template}"`);
+
+      top().nodes.push({
+        field:  parts[0],
+        align:  spec[1],
+        zero:   !!spec[2],
+        width:  spec[3] && Number(spec[3]),
+        max:    spec[4] && Number(spec[4])
+      });
+    }
+  }
+
+  flush();
+  if (stack.length > 1)
+    throw new Error(`Unclosed {?${top().section}} in template "${template}"`);
+
+  cache[template] = root.nodes;
+  return root.nodes;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function lookup(fields, name) {
+  if (!(name in fields))
+    throw new Error(`Unknown field "${name}"; expected one of: ${
+      Object.keys(fields).join(', ')}`);
+  return fields[name];
+}
+
+// A field's value, padded and truncated
+function formatField(node, value) {
+  let str = isSet(value) ? String(value) : '';
+
+  if (node.max)
+    str = _.truncate(str, {length: node.max, omission: config.get('trunc')});
+
+  if (node.width) {
+    let align = node.align || (typeof value === 'number' ? '>' : '<'),
+        fill = node.zero && typeof value === 'number' ? '0' : ' ';
+
+    if (align === '>')
+      str = _.padStart(str, node.width, fill);
+    else if (align === '^')
+      str = _.pad(str, node.width);
+    else
+      str = _.padEnd(str, node.width);
+  }
+
+  return str;
+}
+
+function renderNodes(nodes, fields, plain) {
+  return nodes.map((node) => {
+    if (typeof node === 'string')
+      return plain ? node.replace(/%%/g, '%') : node;
+
+    if (node.section !== undefined) {
+      let shown = isSet(lookup(fields, node.section)) !== node.negate;
+      return shown ? renderNodes(node.nodes, fields, plain) : '';
+    }
+
+    let str = formatField(node, lookup(fields, node.field));
+    return plain ? str : str.replace(/%/g, '%%');
+  }).join('');
+}
+
+// Fill in a template with fields = { name: value }
+// plain leaves values and literal %s unescaped, for text which isn't markup
+// Throws for bad templates and unknown fields
+function render(template, fields, plain) {
+  return renderNodes(compile(template), fields, plain);
+}
+
+// Check a template without fields, throwing if it's bad
+function validate(template) {
+  compile(template);
+}
+
+module.exports = {
+  render:       render,
+  validate:     validate
+};
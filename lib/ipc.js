@@ -0,0 +1,166 @@
+'use strict';
+
+const fs      = require('fs');
+const os      = require('os');
+const net     = require('net');
+const path    = require('path');
+const process = require('process');
+
+const config  = require('./config');
+
+const CTL = path.join(__dirname, '..', 'lemonblocks-ctl');
+
+
+// Path of the control socket
+// The temporary directory is shared, so sockets there are per user
+function socketPath() {
+  return config.get('socket') || (process.env.XDG_RUNTIME_DIR ?
+    path.join(process.env.XDG_RUNTIME_DIR, 'lemonblocks.sock') :
+    path.join(os.tmpdir(), `lemonblocks-${process.getuid()}.sock`));
+}
+
+// Serves commands over a UNIX domain socket
+// Each line is a command: <name> [args...]
+// Each command gets a line of JSON back: { ok, result } or { ok, error }
+class Server {
+  constructor(file) {
+    this.file = file;
+    this._handlers = {};
+    this._server = net.createServer(this._serve.bind(this));
+  }
+
+  // Handle a command; handler(args) returns the result or throws
+  handle(name, handler) {
+    this._handlers[name] = handler;
+    return this;
+  }
+
+  // Take over the socket file, unless another bar is still listening on it
+  listen(callback) {
+    callback = callback || ((err) => {
+      if (err) throw err;
+    });
+
+    let probe = net.connect(this.file);
+
+    probe.on('connect', () => {
+      probe.end();
+      callback(new Error(`Socket ${this.file} is in use by another bar`));
+    });
+
+    probe.on('error', () => {
+      fs.unlink(this.file, () => {
+        this._server.once('error', callback);
+        this._server.listen(this.file, () => {
+          this._server.removeListener('error', callback);
+          callback(null);
+        });
+      });
+    });
+  }
+
+  close() {
+    this._server.close();
+    try {
+      fs.unlinkSync(this.file);
+    } catch (e) {
+      // Already gone
+    }
+  }
+
+  // Reply to each line from a connection
+  _serve(conn) {
+    let buffer = '';
+
+    conn.on('error', () => {
+      // Client went away
+    });
+
+    conn.on('data', (data) => {
+      let lines = (buffer + data.toString()).split('\n');
+      buffer = lines.pop();
+
+      for (let line of lines) {
+        if (line.trim())
+          conn.write(`${JSON.stringify(this.run(line))}\n`);
+      }
+    });
+  }
+
+  // Run a single command line
+  run(line) {
+    let args = line.trim().split(/\s+/);
+    let name = args.shift();
+
+    if (!this._handlers[name])
+      return {ok: false, error: `Unknown command "${name}"`};
+
+    try {
+      return {ok: true, result: this._handlers[name](args)};
+    } catch (e) {
+      return {ok: false, error: e.message};
+    }
+  }
+}
+
+// Send a command and call back with its result
+function send(file, args, callback) {
+  let conn = net.connect(file),
+      buffer = '',
+      done = false;
+
+  let finish = (err, result) => {
+    if (done)
+      return;
+    done = true;
+    conn.end();
+    callback(err, result);
+  };
+
+  conn.on('connect', () => {
+    conn.write(`${args.join(' ')}\n`);
+  });
+
+  conn.on('data', (data) => {
+    buffer += data.toString();
+    let end = buffer.indexOf('\n');
+    if (end === -1)
+      return;
+
+    let reply;
+    try {
+      reply = JSON.parse(buffer.slice(0, end));
+    } catch (e) {
+      finish(new Error(`Bad reply from ${file}: ${e.message}`));
+      return;
+    }
+
+    if (reply.ok)
+      finish(null, reply.result);
+    else
+      finish(new Error(reply.error));
+  });
+
+  conn.on('error', finish);
+  conn.on('close', () => {
+    finish(new Error(`Connection to ${file} closed without a reply`));
+  });
+}
+
+// Quote an argument for the shell
+function quote(arg) {
+  return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+// Shell command which sends a command to this bar through lemonblocks-ctl
+function shellCommand(args) {
+  return [process.execPath, CTL, '--socket', socketPath()].concat(args).map(quote).join(' ');
+}
+
+module.exports = {
+  Server:       Server,
+  send:         send,
+  socketPath:   socketPath,
+  quote:        quote,
+  shellCommand: shellCommand
+};
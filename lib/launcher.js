@@ -0,0 +1,105 @@
+'use strict';
+
+const childProcess  = require('child_process');
+const readline      = require('readline');
+
+const util          = require('./util');
+const config        = require('./config');
+
+
+// Runs lemonbar, feeds it the bar and runs whatever it prints when clicked
+// Restarts lemonbar if it dies, and kills it when we exit
+class Launcher {
+  constructor() {
+    this.proc = null;
+    this.last = null;
+    this.stopped = false;
+
+    util.onCleanup(this.kill.bind(this));
+  }
+
+  // Command line flags for lemonbar, from config
+  args() {
+    let args = [];
+    let flag = (name, key) => {
+      if (config.get(key) !== null && config.get(key) !== undefined)
+        args.push(name, String(config.get(key)));
+    };
+
+    flag('-g', 'barGeometry');
+    flag('-n', 'barName');
+    flag('-a', 'barClickableAreas');
+    flag('-u', 'barUnderlineWidth');
+    flag('-B', 'cBG');
+    flag('-F', 'cFG');
+    flag('-U', 'cUnderline');
+
+    (config.get('barFonts') || []).forEach((font) => {
+      args.push('-f', font);
+    });
+
+    if (config.get('barBottom'))
+      args.push('-b');
+    if (config.get('barForceDock'))
+      args.push('-d');
+
+    return args;
+  }
+
+  start() {
+    this.stopped = false;
+
+    let proc = this.proc = childProcess.spawn(config.get('lemonbarCmd'), this.args(), {
+      stdio: ['pipe', 'pipe', 'inherit']
+    });
+
+    // Lines from lemonbar are clicked actions
+    readline.createInterface({input: proc.stdout}).on('line', (line) => {
+      if (line.trim())
+        util.run(line);
+    });
+
+    // Writes racing with a crash are handled by the restart
+    proc.stdin.on('error', () => {});
+
+    proc.on('error', (err) => {
+      util.logError(`Could not run ${config.get('lemonbarCmd')}: ${err.message}`);
+    });
+
+    proc.on('exit', (code, signal) => {
+      if (this.proc !== proc)
+        return;
+      this.proc = null;
+
+      if (this.stopped)
+        return;
+
+      util.logError(`${config.get('lemonbarCmd')} exited with ${signal || code}, restarting`);
+      setTimeout(() => {
+        if (!this.stopped)
+          this.start();
+      }, config.get('barRestartTimeout'));
+    });
+
+    // Show the bar as it was
+    if (this.last !== null)
+      proc.stdin.write(this.last);
+  }
+
+  // Same interface as process.stdout, for Bar
+  write(text) {
+    this.last = text;
+    if (this.proc)
+      this.proc.stdin.write(text);
+  }
+
+  kill() {
+    this.stopped = true;
+    if (this.proc)
+      this.proc.kill();
+  }
+}
+
+module.exports = {
+  Launcher:   Launcher
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+const _       = require('lodash');
+
+const blocks  = require('./blocks');
+const config  = require('./config');
+const format  = require('./format');
+
+const SECTIONS = ['left', 'center', 'right'],
+      ABSTRACT = ['Block', 'IntervalBlock', 'EventBlock', 'I3Block', 'AcpiBlock',
+                  'ResourceBlock', 'PulseBlock', 'MprisBlock'];
+
+// Blocks from plugins, by name
+let registered = {};
+
+// Make a block from outside lib/blocks.js available in layouts
+function register(name, Type) {
+  if (blocks[name] || registered[name])
+    throw new Error(`A block named "${name}" already exists`);
+  registered[name] = Type;
+}
+
+// The class for a block name, if it can be used in a layout
+function blockType(name) {
+  if (ABSTRACT.indexOf(name) > -1)
+    return;
+  return registered[name] || blocks[name];
+}
+
+// Names of all blocks that can be used in a layout
+function blockNames() {
+  return Object.keys(blocks).filter((name) => {
+    return ABSTRACT.indexOf(name) === -1;
+  }).concat(Object.keys(registered));
+}
+
+// Turns a block spec into a block instance
+// spec is either a block name or
+// { type, args, blocks, id, format, thresholds, notifications }
+// where is used to point at the offending spec in errors
+// reuse(key) may return an existing block built from the same spec
+// The spec is remembered in block.spec as a key
+function buildBlock(spec, where, reuse) {
+  if (typeof spec === 'string')
+    spec = {type: spec};
+
+  let key = JSON.stringify(spec),
+      existing = reuse && reuse(key);
+  if (existing)
+    return existing;
+
+  if (!spec || typeof spec !== 'object')
+    throw new Error(`Invalid block in ${where}: expected a name or { type, args }`);
+
+  let Type = blockType(spec.type);
+  if (!Type)
+    throw new Error(`Unknown block "${spec.type}" in ${where}; known blocks are: ${
+      blockNames().join(', ')}`);
+
+  let args = spec.args || [];
+  if (!Array.isArray(args))
+    throw new Error(`Arguments for ${spec.type} in ${where} must be a list`);
+
+  // Container blocks take their children as the first argument
+  if (spec.blocks) {
+    args = [spec.blocks.map((child, i) => {
+      return buildBlock(child, `${where}.blocks[${i}]`);
+    })].concat(args);
+  }
+
+  let block = new Type(...args);
+  block.spec = key;
+
+  // Ids are used in control commands, so they can't have spaces
+  if (spec.id !== undefined) {
+    if (!/^\S+$/.test(spec.id))
+      throw new Error(`Invalid id "${spec.id}" in ${where}: ids can't be empty or contain spaces`);
+    block.id = spec.id;
+  }
+
+  // A template, or templates by state
+  if (spec.format !== undefined) {
+    let formats = typeof spec.format === 'string' ? {default: spec.format} : spec.format;
+    if (!formats || typeof formats !== 'object' ||
+        _.some(formats, (template) => typeof template !== 'string'))
+      throw new Error(`Invalid format in ${where}: expected a template or { state: template }`);
+
+    try {
+      _.forEach(formats, format.validate);
+    } catch (e) {
+      throw new Error(`Invalid format in ${where}: ${e.message}`);
+    }
+    block.format = spec.format;
+  }
+
+  if (spec.thresholds !== undefined) {
+    if (!spec.thresholds || typeof spec.thresholds !== 'object' || Array.isArray(spec.thresholds))
+      throw new Error(`Invalid thresholds in ${where}: expected { warn, critical, blink, below, hysteresis }`);
+    block.thresholds = spec.thresholds;
+  }
+
+  if (spec.notifications !== undefined) {
+    if (!spec.notifications || typeof spec.notifications !== 'object' ||
+        Array.isArray(spec.notifications))
+      throw new Error(`Invalid notifications in ${where}: expected { state: notification }`);
+    block.notifications = spec.notifications;
+  }
+
+  return block;
+}
+
+// Normalizes a section into { separator, blocks }
+function readSection(section, name) {
+  if (!section)
+    return {separator: config.get('separator'), blocks: []};
+
+  if (Array.isArray(section))
+    section = {blocks: section};
+
+  if (!Array.isArray(section.blocks))
+    throw new Error(`Section "${name}" must be a list of blocks or { separator, blocks }`);
+
+  return {
+    separator:  section.separator !== undefined ?
+      section.separator : config.get('separator'),
+    blocks:     section.blocks
+  };
+}
+
+// Builds the list of blocks for a whole bar from a layout
+// layout = { left: section, center: section, right: section }
+// where names the layout in errors; reuse is passed to buildBlock
+function build(layout, where, reuse) {
+  where = where || 'layout';
+
+  if (!layout || typeof layout !== 'object')
+    throw new Error(`${where} must be an object with left, center and right sections`);
+
+  for (let name of Object.keys(layout)) {
+    if (SECTIONS.indexOf(name) === -1)
+      throw new Error(`Unknown section "${name}" in ${where}; expected one of: ${
+        SECTIONS.join(', ')}`);
+  }
+
+  let text = (str) => {
+    return buildBlock({type: 'StaticBlock', args: [str]}, where, reuse);
+  };
+
+  let result = [text(`%{U${config.get('cUnderline')}}`)];
+
+  SECTIONS.forEach((name) => {
+    let section = readSection(layout[name], `${where}.${name}`);
+
+    result.push(text(`%{${name[0]}}`));
+    section.blocks.forEach((spec, i) => {
+      if (i && section.separator)
+        result.push(text(section.separator));
+      result.push(buildBlock(spec, `${where}.${name}[${i}]`, reuse));
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  build:        build,
+  buildBlock:   buildBlock,
+  blockNames:   blockNames,
+  register:     register
+};
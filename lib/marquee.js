@@ -0,0 +1,81 @@
+'use strict';
+
+const _       = require('lodash');
+
+const util    = require('./util');
+const config  = require('./config');
+
+const CONTROL_BLOCK_REGEX = /^%{.*}$/;
+
+
+// Scrolls text which doesn't fit through a window, a character at a time
+// Control sequences are kept intact, like util.createAnimationArray
+// A render is frame() for each text shown, between begin() and end()
+// step() is called for every new frame, and the timer only runs while some
+// text doesn't fit
+class Marquee {
+  constructor(step) {
+    this.step = step;
+    this.offset = 0;
+    this.texts = [];
+    this.timer = null;
+    this._long = [];
+  }
+
+  begin() {
+    this._long = [];
+  }
+
+  // What to show of text now, in width characters
+  frame(text, width) {
+    let chars = util.createAnimationArray(text),
+        visible = chars.filter((c) => !CONTROL_BLOCK_REGEX.test(c)).length;
+
+    if (visible <= width)
+      return text;
+    this._long.push(text);
+
+    // Loop around through a gap
+    let lap = chars.concat(config.get('marqueeGap').split('')),
+        length = visible + config.get('marqueeGap').length,
+        start = this.offset % length;
+
+    // Control sequences outside the window still apply, so keep them all
+    let seen = 0;
+    let take = (c) => {
+      if (CONTROL_BLOCK_REGEX.test(c))
+        return c;
+      let i = seen++;
+      return i >= start && i < start + width ? c : '';
+    };
+
+    return lap.concat(lap).map(take).join('');
+  }
+
+  // Start or stop the timer for what was shown
+  end() {
+    if (!_.isEqual(this._long, this.texts)) {
+      this.texts = this._long;
+      this.offset = 0;
+    }
+
+    if (this.texts.length && !this.timer) {
+      this.timer = setInterval(() => {
+        this.offset++;
+        this.step();
+      }, config.get('marqueeInterval'));
+    } else if (!this.texts.length) {
+      this.stop();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+
+module.exports = {
+  Marquee:      Marquee
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const childProcess  = require('child_process');
+
+const util          = require('./util');
+const config        = require('./config');
+
+const URGENCIES = ['low', 'normal', 'critical'];
+
+// Arguments for gdbus to call Notify on the session bus
+// Strings are quoted as GVariant text, so they are never read as numbers
+function dbusArgs(n) {
+  return [
+    'call', '--session',
+    '--dest', 'org.freedesktop.Notifications',
+    '--object-path', '/org/freedesktop/Notifications',
+    '--method', 'org.freedesktop.Notifications.Notify',
+    JSON.stringify(config.get('barName')),
+    '0',
+    '""',
+    JSON.stringify(n.summary),
+    JSON.stringify(n.body || ''),
+    '[]',
+    `{"urgency": <byte ${URGENCIES.indexOf(n.urgency)}>}`,
+    String(config.get('notifyTimeout'))
+  ];
+}
+
+// Show a desktop notification, as set by the notify setting: with
+// notify-send, or with gdbus over the freedesktop notifications interface
+// n = { summary, body, urgency }, urgency being low, normal or critical
+function send(n) {
+  n = Object.assign({urgency: 'normal'}, n);
+  if (URGENCIES.indexOf(n.urgency) === -1)
+    n.urgency = 'normal';
+
+  let cmd, args;
+  if (config.get('notify') === 'dbus') {
+    cmd = 'gdbus';
+    args = dbusArgs(n);
+  } else {
+    cmd = config.get('notifySendCmd');
+    args = ['-a', config.get('barName'), '-u', n.urgency,
+            '-t', String(config.get('notifyTimeout')), n.summary];
+    if (n.body)
+      args.push(n.body);
+  }
+
+  childProcess.execFile(cmd, args, (err, stdout, stderr) => {
+    if (err)
+      util.logError(`Could not notify "${n.summary}": ${(stderr || err.message).trim()}`);
+  });
+}
+
+module.exports = {
+  send:         send
+};
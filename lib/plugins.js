@@ -0,0 +1,126 @@
+'use strict';
+
+const fs      = require('fs');
+const os      = require('os');
+const path    = require('path');
+const process = require('process');
+
+const util    = require('./util');
+const config  = require('./config');
+const blocks  = require('./blocks');
+const clients = require('./clients');
+const layout  = require('./layout');
+
+const PACKAGE_REGEX = /^lemonblocks-block-/;
+
+// What plugins get to build blocks with, so they share our connections
+const API = {
+  blocks:   blocks,
+  util:     util,
+  config:   config,
+  clients:  clients
+};
+
+// Directories npm packages may be installed in: next to lemonblocks, on
+// NODE_PATH and the global prefix
+function packageDirs() {
+  let dirs = module.paths.concat(
+    (process.env.NODE_PATH || '').split(path.delimiter).filter(Boolean),
+    path.join(path.dirname(process.execPath), '..', 'lib', 'node_modules')
+  );
+  return dirs.filter((dir, i) => dirs.indexOf(dir) === i && fs.existsSync(dir));
+}
+
+// Paths of lemonblocks-block-* packages, including scoped ones
+function findPackages() {
+  let found = {};
+
+  packageDirs().forEach((dir) => {
+    fs.readdirSync(dir).forEach((name) => {
+      if (PACKAGE_REGEX.test(name) && !found[name])
+        found[name] = path.join(dir, name);
+
+      if (name[0] === '@') {
+        fs.readdirSync(path.join(dir, name)).forEach((scoped) => {
+          let full = `${name}/${scoped}`;
+          if (PACKAGE_REGEX.test(scoped) && !found[full])
+            found[full] = path.join(dir, name, scoped);
+        });
+      }
+    });
+  });
+
+  return Object.keys(found).map((name) => found[name]);
+}
+
+// Paths of plugins in the user plugin directory: .js files or directories
+function findUserPlugins() {
+  let dir = config.get('pluginDir') ||
+    path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'),
+              'lemonblocks', 'blocks');
+
+  if (!fs.existsSync(dir))
+    return [];
+
+  return fs.readdirSync(dir).filter((name) => {
+    return name[0] !== '.' &&
+      (path.extname(name) === '.js' || fs.statSync(path.join(dir, name)).isDirectory());
+  }).map((name) => {
+    return path.join(dir, name);
+  });
+}
+
+// Load a plugin and register its blocks
+// A plugin exports block classes by name, or a function which takes
+// { blocks, util, config, clients } and returns them
+function load(file) {
+  let exported = require(file);
+  if (typeof exported === 'function' && !(exported.prototype instanceof blocks.Block))
+    exported = exported(API);
+
+  // A single class is registered under its own name
+  if (typeof exported === 'function') {
+    let single = {};
+    single[exported.name] = exported;
+    exported = single;
+  }
+
+  if (!exported || typeof exported !== 'object')
+    throw new Error(`Plugin ${file} must export block classes`);
+
+  let names = Object.keys(exported);
+  names.forEach((name) => {
+    let Type = exported[name];
+    if (typeof Type !== 'function' || !(Type.prototype instanceof blocks.Block))
+      throw new Error(`Plugin ${file} exports ${name}, which is not a subclass of Block`);
+  });
+
+  names.forEach((name) => {
+    layout.register(name, exported[name]);
+  });
+
+  return names;
+}
+
+// Load every plugin, skipping broken ones so the rest of the bar still works
+// Returns the names of all blocks loaded
+function loadAll() {
+  let names = [];
+
+  findPackages().concat(findUserPlugins()).forEach((file) => {
+    try {
+      names = names.concat(load(file));
+    } catch (e) {
+      util.logError(`Could not load plugin ${file}: ${e.message}`);
+    }
+  });
+
+  return names;
+}
+
+module.exports = {
+  load:             load,
+  loadAll:          loadAll,
+  findPackages:     findPackages,
+  findUserPlugins:  findUserPlugins
+};
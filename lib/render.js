@@ -0,0 +1,347 @@
+'use strict';
+
+const readline  = require('readline');
+
+const util      = require('./util');
+
+// Blocks build lemonbar markup with the util helpers, with % in text escaped
+// as %%; a Parser turns that markup into segments, which is what renderers
+// for other bars work from:
+// { text, fg, bg, ulColor, underline, overline, align, actions: { button: command } }
+class Parser {
+  constructor() {
+    this.fg = null;
+    this.bg = null;
+    this.ulColor = null;
+    this.underline = false;
+    this.overline = false;
+    this.align = 'left';
+    this.screen = null;
+    this.actions = [];
+  }
+
+  // Parse markup, carrying state over from previous calls
+  feed(markup) {
+    let segments = [],
+        text = '',
+        i = 0;
+
+    let flush = () => {
+      if (text)
+        segments.push(this._segment(text));
+      text = '';
+    };
+
+    // Read an argument up to the next space or closing brace
+    let readArg = () => {
+      let start = i;
+      while (i < markup.length && markup[i] !== ' ' && markup[i] !== '}')
+        i++;
+      return markup.slice(start, i);
+    };
+
+    while (i < markup.length) {
+      // %% is a literal %, so escaped text never reads as markup
+      if (markup.startsWith('%%', i)) {
+        text += '%';
+        i += 2;
+        continue;
+      }
+
+      if (!markup.startsWith('%{', i)) {
+        text += markup[i++];
+        continue;
+      }
+
+      flush();
+      i += 2;
+
+      while (i < markup.length && markup[i] !== '}') {
+        let c = markup[i++],
+            arg;
+
+        switch (c) {
+          case 'l':
+            this.align = 'left';
+            break;
+          case 'c':
+            this.align = 'center';
+            break;
+          case 'r':
+            this.align = 'right';
+            break;
+          case 'B':
+            arg = readArg();
+            this.bg = arg === '-' ? null : arg;
+            break;
+          case 'F':
+            arg = readArg();
+            this.fg = arg === '-' ? null : arg;
+            break;
+          case 'U':
+            arg = readArg();
+            this.ulColor = arg === '-' ? null : arg;
+            break;
+          case 'R':
+            arg = this.fg;
+            this.fg = this.bg;
+            this.bg = arg;
+            break;
+          case '!':
+          case '+':
+          case '-':
+            this._attr(markup[i++], c);
+            break;
+          case 'S':
+            this.screen = readArg();
+            break;
+          case 'A':
+            i = this._action(markup, i);
+            break;
+          default:
+            // Fonts, offsets and anything unknown don't matter here
+            readArg();
+        }
+      }
+
+      i++;
+    }
+
+    flush();
+    return segments;
+  }
+
+  // Toggle, set or clear the underline or overline
+  _attr(attr, op) {
+    let key = {u: 'underline', o: 'overline'}[attr];
+    if (key)
+      this[key] = op === '!' ? !this[key] : op === '+';
+  }
+
+  // Open or close a clickable area, returning where parsing continues
+  _action(markup, i) {
+    let button = '';
+    while (/\d/.test(markup[i]))
+      button += markup[i++];
+
+    // %{A} closes the innermost area
+    if (markup[i] !== ':') {
+      this.actions.pop();
+      return i;
+    }
+
+    let command = '';
+    for (i++; i < markup.length && markup[i] !== ':'; i++) {
+      if (markup[i] === '\\' && markup[i + 1] === ':')
+        i++;
+      command += markup[i];
+    }
+
+    this.actions.push({button: button || '1', command: command});
+    return i + 1;
+  }
+
+  _segment(text) {
+    // Inner areas win for the same button
+    let actions = {};
+    this.actions.forEach((action) => {
+      actions[action.button] = action.command;
+    });
+
+    return {
+      text:       text,
+      fg:         this.fg,
+      bg:         this.bg,
+      ulColor:    this.ulColor,
+      underline:  this.underline,
+      overline:   this.overline,
+      align:      this.align,
+      screen:     this.screen,
+      actions:    actions
+    };
+  }
+}
+
+// Parse markup on its own
+function parse(markup) {
+  return new Parser().feed(markup);
+}
+
+// Convert a lemonbar color (#AARRGGBB, #RRGGBB or #RGB) to #RRGGBB
+// Fully transparent colors come back as null
+function toRGB(color) {
+  if (!color)
+    return null;
+
+  let hex = color.replace(/^#/, '');
+  if (hex.length === 3)
+    hex = hex.split('').map((c) => c + c).join('');
+  if (hex.length === 8) {
+    if (hex.slice(0, 2) === '00')
+      return null;
+    hex = hex.slice(2);
+  }
+
+  return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex}` : null;
+}
+
+
+// Output for lemonbar, which understands block output as is
+class LemonbarRenderer {
+  header() {
+    return null;
+  }
+
+  // output limits blocks to one monitor
+  format(blocks, output) {
+    return blocks.map((block) => {
+      return block.query(output);
+    }).join('');
+  }
+
+  // A section per monitor, in the order lemonbar numbers them
+  formatScreens(blocks, outputs) {
+    return outputs.map((output, i) => {
+      return `%{S${i}}${this.format(blocks, output)}`;
+    }).join('');
+  }
+}
+
+
+// Output for i3bar, with click events read back from its stdin
+class I3barRenderer {
+  constructor() {
+    this._actions = {};
+  }
+
+  header() {
+    return `${JSON.stringify({version: 1, click_events: true})}\n[`;
+  }
+
+  format(blocks) {
+    let parser = new Parser(),
+        items = [];
+
+    this._actions = {};
+
+    blocks.forEach((block) => {
+      parser.feed(block.query()).forEach((seg, i) => {
+        let item = {
+          full_text:  seg.text,
+          name:       block.id,
+          instance:   String(i),
+          separator:  false,
+          separator_block_width: 0
+        };
+
+        if (toRGB(seg.fg))
+          item.color = toRGB(seg.fg);
+        if (toRGB(seg.bg))
+          item.background = toRGB(seg.bg);
+        if (seg.underline && toRGB(seg.ulColor)) {
+          item.border = toRGB(seg.ulColor);
+          item.border_top = item.border_left = item.border_right = 0;
+        }
+
+        items.push(item);
+        this._actions[`${block.id}/${i}`] = seg.actions;
+      });
+    });
+
+    return `${JSON.stringify(items)},`;
+  }
+
+  // Run the action under each click event
+  listen(input) {
+    readline.createInterface({input: input}).on('line', (line) => {
+      line = line.replace(/^[\s,\[]+/, '').trim();
+      if (!line)
+        return;
+
+      let e;
+      try {
+        e = JSON.parse(line);
+      } catch (err) {
+        util.logError(`Bad click event from i3bar: ${line}`);
+        return;
+      }
+
+      let command = (this._actions[`${e.name}/${e.instance}`] || {})[e.button];
+      if (command)
+        util.run(command);
+    });
+  }
+}
+
+
+// Output as plain text
+class PlainRenderer {
+  header() {
+    return null;
+  }
+
+  format(blocks) {
+    let parser = new Parser();
+    return blocks.map((block) => {
+      return parser.feed(block.query()).map((seg) => seg.text).join('');
+    }).join('');
+  }
+}
+
+
+// Output for tmux's status line, using its #[...] styles
+// Alignment needs tmux 3.0 or later
+class TmuxRenderer {
+  header() {
+    return null;
+  }
+
+  format(blocks) {
+    let parser = new Parser(),
+        align = null,
+        output = '';
+
+    blocks.forEach((block) => {
+      parser.feed(block.query()).forEach((seg) => {
+        if (seg.align !== align) {
+          align = seg.align;
+          output += `#[align=${align === 'center' ? 'centre' : align}]`;
+        }
+
+        let style = [
+          `fg=${toRGB(seg.fg) || 'default'}`,
+          `bg=${toRGB(seg.bg) || 'default'}`,
+          seg.underline ? 'underscore' : 'nounderscore',
+          seg.overline ? 'overline' : 'nooverline'
+        ];
+
+        output += `#[${style.join(',')}]${seg.text.replace(/#/g, '##')}`;
+      });
+    });
+
+    return `${output}#[default]`;
+  }
+}
+
+
+const RENDERERS = {
+  lemonbar:   LemonbarRenderer,
+  i3bar:      I3barRenderer,
+  plain:      PlainRenderer,
+  tmux:       TmuxRenderer
+};
+
+// Create a renderer by name
+function create(name) {
+  if (!RENDERERS[name])
+    throw new Error(`Unknown output "${name}"; expected one of: ${
+      Object.keys(RENDERERS).join(', ')}`);
+  return new RENDERERS[name]();
+}
+
+module.exports = {
+  Parser:       Parser,
+  parse:        parse,
+  toRGB:        toRGB,
+  create:       create
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+// Alert levels, from least to most severe
+const LEVELS = ['warn', 'critical', 'blink'];
+
+
+// Tracks the alert level of a numeric value
+// levels = { warn, critical, blink, below, hysteresis }
+// warn, critical and blink are the values where each level starts; blink
+// is critical, flashing. With below, lower values are worse, e.g. for
+// battery charge
+// A level is only left once the value is hysteresis past where it starts,
+// so values hovering around a threshold don't flap
+class Threshold {
+  constructor(levels) {
+    this.levels = levels || {};
+    this.current = 0;
+  }
+
+  // Update with a new value, or null for no alert
+  // Returns the level: null, 'warn', 'critical' or 'blink'
+  update(value) {
+    let below = !!this.levels.below,
+        hysteresis = this.levels.hysteresis || 0,
+        level = 0;
+
+    if (value !== null && value !== undefined) {
+      LEVELS.forEach((name, i) => {
+        let start = this.levels[name];
+        if (typeof start !== 'number')
+          return;
+
+        // Staying at a level takes less than getting there
+        if (i < this.current)
+          start += below ? hysteresis : -hysteresis;
+
+        if (below ? value <= start : value >= start)
+          level = i + 1;
+      });
+    }
+
+    this.current = level;
+    return this.name();
+  }
+
+  name() {
+    return LEVELS[this.current - 1] || null;
+  }
+}
+
+
+module.exports = {
+  Threshold:    Threshold
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const fs            = require('fs');
+const path          = require('path');
+const process       = require('process');
+const childProcess  = require('child_process');
+
+const async         = require('async');
+
+const config        = require('./config');
+
+// Lines of output which aren't blank
+function lines(out) {
+  return out.split('\n').filter((line) => line.trim());
+}
+
+// Package managers, by name
+// list is the command printing pending updates, ok its exit codes which
+// aren't failures, and parse turns its output into [{ name, security }]
+// security optionally lists the names of packages with security updates,
+// for managers which know
+// upgrade installs the updates, in a terminal
+// detect: false leaves a manager out unless it is asked for by name
+const BACKENDS = {
+  // pkg.arch version repo, until obsoleted packages
+  dnf: {
+    list:     ['dnf', ['check-update', '-q']],
+    ok:       [0, 100],
+    parse:    (out) => {
+      let packages = [];
+      for (let line of lines(out)) {
+        if (/^Obsoleting/.test(line))
+          break;
+        let match = line.match(/^(\S+)\.[^.\s]+\s+\S+\s+\S+\s*$/);
+        if (match)
+          packages.push({name: match[1], security: false});
+      }
+      return packages;
+    },
+    // advisory type pkg-version-release.arch
+    security: {
+      list:   ['dnf', ['updateinfo', 'list', '--security', '-q']],
+      parse:  (out) => lines(out).map((line) => line.trim().split(/\s+/)[2])
+        .filter(Boolean).map((nevra) => nevra.replace(/-[^-]+-[^-]+$/, ''))
+    },
+    upgrade:  'sudo dnf upgrade'
+  },
+
+  // pkg/suites version arch [upgradable from: version]
+  apt: {
+    list:     ['apt', ['list', '--upgradable']],
+    ok:       [0],
+    parse:    (out) => lines(out).filter((line) => /\[upgradable/.test(line)).map((line) => {
+      let parts = line.split(/[/\s]/);
+      return {name: parts[0], security: /-security\b/.test(parts[1])};
+    }),
+    upgrade:  'sudo apt upgrade'
+  },
+
+  // pkg version -> version; exits with 2 without updates
+  pacman: {
+    list:     ['checkupdates', []],
+    ok:       [0, 2],
+    parse:    (out) => lines(out).map((line) => ({name: line.split(' ')[0], security: false})),
+    upgrade:  'sudo pacman -Syu'
+  },
+
+  flatpak: {
+    list:     ['flatpak', ['remote-ls', '--updates', '--columns=application']],
+    ok:       [0],
+    parse:    (out) => lines(out).map((line) => ({name: line.trim(), security: false})),
+    upgrade:  'flatpak update'
+  },
+
+  // { pkg: { current, wanted, latest } }; exits with 1 when outdated
+  // npm comes with Node itself, which doesn't mean global packages are
+  // installed with it
+  npm: {
+    detect:   false,
+    list:     ['npm', ['outdated', '--global', '--json']],
+    ok:       [0, 1],
+    parse:    (out) => Object.keys(JSON.parse(out || '{}')).map((name) => {
+      return {name: name, security: false};
+    }),
+    upgrade:  'npm update --global'
+  }
+};
+
+function backend(name) {
+  if (!BACKENDS[name])
+    throw new Error(`Unknown package manager "${name}"; expected one of: ${
+      Object.keys(BACKENDS).join(', ')}`);
+  return BACKENDS[name];
+}
+
+// Run [cmd, args], calling back with its output if it exits with one of ok
+function run(command, ok, cb) {
+  childProcess.execFile(command[0], command[1], {maxBuffer: 16 * 1024 * 1024},
+      (err, stdout, stderr) => {
+    if (err && ok.indexOf(err.code) === -1)
+      return cb(new Error(`${command[0]} failed: ${(stderr || err.message).trim()}`));
+    cb(null, stdout);
+  });
+}
+
+// Whether cmd is an executable on the PATH
+function onPath(cmd, cb) {
+  let dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  async.map(dirs, (dir, cb) => {
+    fs.access(path.join(dir, cmd), fs.constants.X_OK, (err) => cb(null, !err));
+  }, (err, found) => cb(found.some(Boolean)));
+}
+
+// Calls back with the names of the package managers which are installed
+function detect(cb) {
+  let names = Object.keys(BACKENDS).filter((name) => BACKENDS[name].detect !== false);
+  async.map(names, (name, cb) => {
+    onPath(BACKENDS[name].list[0], (found) => cb(null, found));
+  }, (err, found) => cb(names.filter((name, i) => found[i])));
+}
+
+// Pending updates of a package manager:
+// { name, packages: [{ name, security }], security }
+function checkNow(name, cb) {
+  let b = backend(name);
+
+  run(b.list, b.ok, (err, out) => {
+    if (err)
+      return cb(err);
+
+    let packages;
+    try {
+      packages = b.parse(out);
+    } catch (e) {
+      return cb(new Error(`Could not read ${name} updates: ${e.message}`));
+    }
+
+    let done = () => cb(null, {
+      name:     name,
+      packages: packages,
+      security: packages.filter((p) => p.security).length
+    });
+
+    // Only ask about security when there is something to update
+    if (!b.security || !packages.length)
+      return done();
+
+    run(b.security.list, [0], (err, out) => {
+      if (err)
+        return cb(err);
+
+      let secure = b.security.parse(out);
+      packages.forEach((p) => {
+        p.security = secure.indexOf(p.name) !== -1;
+      });
+      done();
+    });
+  });
+}
+
+// Callbacks waiting for each package manager's check
+let waiting = {};
+
+// Checks run one at a time, even for different blocks, since package managers
+// lock their databases
+let queue = async.queue((name, done) => {
+  checkNow(name, (err, result) => {
+    let cbs = waiting[name];
+    delete waiting[name];
+    done();
+    cbs.forEach((cb) => cb(err, result));
+  });
+}, 1);
+
+// Check a package manager, as checkNow does, after the checks before it
+// Asking again before it is done shares the check
+function check(name, cb) {
+  backend(name);
+
+  if (waiting[name])
+    return waiting[name].push(cb);
+  waiting[name] = [cb];
+  queue.push(name);
+}
+
+// Shell command installing the updates of the given package managers,
+// from updateCmds or the defaults
+function upgradeCommand(names) {
+  return names.map((name) => config.get('updateCmds')[name] || backend(name).upgrade).join('; ');
+}
+
+module.exports = {
+  BACKENDS:         BACKENDS,
+  backend:          backend,
+  detect:           detect,
+  check:            check,
+  upgradeCommand:   upgradeCommand
+};
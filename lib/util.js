@@ -2,22 +2,28 @@
 
 const process = require('process');
 const fs      = require('fs');
+const childProcess = require('child_process');
 
-const tmp     = require('tmp');
 const _       = require('lodash');
 
 const config  = require('./config');
+const ipc     = require('./ipc');
 
-const LOG_BLOCKS_FILE = tmp.tmpNameSync(),
-      LOG_SEP         = ',',
-      CONTROL_BLOCK_REGEX = /^%{.*}$/;
+const CONTROL_BLOCK_REGEX = /^%{.*}$/;
+const SPARKS = '▁▂▃▄▅▆▇█';
 
 // http://stackoverflow.com/a/21947851
+// Returns the callback, for offCleanup
 function onCleanup(callback) {
   callback = callback || (() => {});
   process.on('cleanup', callback);
+  return callback;
 };
 
+function offCleanup(callback) {
+  process.removeListener('cleanup', callback);
+}
+
 // Hook into exits to call cleanup
 process.on('exit', function () {
   process.emit('cleanup');
@@ -29,7 +35,7 @@ process.on('SIGTERM', function () {
   process.exit(9);
 });
 process.on('uncaughtException', function(e) {
-  console.log(e.stack);
+  console.error(e.stack);
   process.exit(99);
 });
 
@@ -49,30 +55,80 @@ function findFocused(root) {
     if (node.focused) return node;
 }
 
-// updateBlocks should be an array of class names to update
-// if updateBlocks provided, emit SIGUSR1 (by default) to self
-// sigusr2 = true will send a SIGUSR2 instead
-// blocks to update can be found via getUpdateBlocks
-function addAction(text, action, button, updateBlocks, sigusr2) {
+// Follow each container's focus order down from an output, until stop(node)
+function followFocusOn(root, output, stop) {
+  let node = root.nodes.find((n) => n.name === output);
+  while (node && !stop(node) && node.nodes.length + node.floating_nodes.length) {
+    let focus = node.focus[0];
+    node = node.nodes.concat(node.floating_nodes).find((n) => n.id === focus);
+  }
+  return node;
+}
+
+// Focused window on an output
+function findFocusedOn(root, output) {
+  let node = followFocusOn(root, output, () => false);
+
+  // Empty workspaces have no window
+  return node && node.type === 'con' ? node : undefined;
+}
+
+// Focused workspace on an output
+function findWorkspaceOn(root, output) {
+  let node = followFocusOn(root, output, (n) => n.type === 'workspace');
+  return node && node.type === 'workspace' ? node : undefined;
+}
+
+// blockIds should be an array of block ids to update after the action
+// isAction = true will trigger their action() instead
+// Both go through the bar's control socket
+function addAction(text, action, button, blockIds, isAction) {
   action = action || ':'; // Default to no-op
   button = button || '';
-  updateBlocks = updateBlocks || false;
-  if (updateBlocks) {
-    action = `${action}; echo "${updateBlocks.join(LOG_SEP)
-      }" > ${
-      LOG_BLOCKS_FILE}; kill -SIGUSR${sigusr2 ? 2 : 1} ${process.pid}`;
+  blockIds = blockIds || [];
+  for (let id of blockIds) {
+    action = `${action}; ${
+      ipc.shellCommand([isAction ? 'action' : 'update', id])}`;
   }
 
-  return `%{A${button}:${action.replace(':', '\\:')}:}${text}%{A}`;
+  return `%{A${button}:${action.replace(/:/g, '\\:')}:}${text}%{A}`;
+}
+
+// Clicking triggers action(...args) of the block with the given id
+function addBlockAction(text, blockId, button, args) {
+  return addAction(text,
+      ipc.shellCommand(['action', blockId].concat(args || [])), button);
+}
+
+// Log an error to actionLog if set, or stderr
+// stdout is reserved for the bar
+function logError(message) {
+  let file = config.get('actionLog');
+  if (file)
+    fs.appendFile(file, `${new Date().toISOString()} ${message}\n`, () => {});
+  else
+    console.error(message);
 }
 
-function getUpdateBlocks(callback) {
-  fs.readFile(LOG_BLOCKS_FILE, {encoding: 'utf8'}, (err, data) => {
-    if (err)
-      callback(err);
+// Run a shell command, e.g. a click action, logging failures
+function run(command) {
+  let proc = childProcess.spawn(config.get('shell'), ['-c', command], {
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  proc.stderr.on('data', (data) => {
+    stderr += data;
+  });
 
-    let blocks = data.trim();
-    callback(null, blocks ? blocks.split(LOG_SEP) : []);
+  proc.on('error', (err) => {
+    logError(`Could not run ${command}: ${err.message}`);
+  });
+
+  proc.on('close', (code) => {
+    if (code)
+      logError(`Command exited with ${code}: ${command}${
+        stderr.trim() ? `\n${stderr.trim()}` : ''}`);
   });
 }
 
@@ -94,9 +150,10 @@ function toggleAttr(text, attribute) {
 // Every element is one character, but control blocks are kept intact
 // Strip all clickable areas out
 function createAnimationArray(text) {
-    return _.flatten(text.replace(/(%{.*?})/g, '\n$1\n').split('\n')
+    return _.flatten(text.replace(/(%%|%{.*?})/g, '\n$1\n').split('\n')
       .filter((el) => !el.match(/^%{A.*}$/)).map((el) => {
-        return el.match(CONTROL_BLOCK_REGEX) ? el : el.split('');
+        // An escaped % is one character
+        return el.match(CONTROL_BLOCK_REGEX) || el === '%%' ? el : el.split('');
       })
     );
 }
@@ -116,16 +173,49 @@ function nextAnimationIdx(animArr, idx, backwards) {
   }
 }
 
+// Values from 0 to max as a sparkline
+function sparkline(values, max) {
+  return values.map((value) => {
+    let i = Math.round(value / max * (SPARKS.length - 1));
+    return SPARKS[Math.min(Math.max(i, 0), SPARKS.length - 1)];
+  }).join('');
+}
+
+// A value from 0 to max as a bar width characters wide
+function bar(value, max, width) {
+  let filled = Math.min(Math.max(Math.round(value / max * width), 0), width);
+  return _.repeat('█', filled) + _.repeat('░', width - filled);
+}
+
+// Bytes as e.g. 1.5G
+function formatBytes(bytes) {
+  let units = ['B', 'K', 'M', 'G', 'T', 'P'],
+      i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${i && bytes < 10 ? bytes.toFixed(1) : Math.round(bytes)}${units[i]}`;
+}
+
 module.exports = {
   onCleanup:          onCleanup,
+  offCleanup:         offCleanup,
   getDescendants:     getDescendants,
   findFocused:        findFocused,
+  findFocusedOn:      findFocusedOn,
+  findWorkspaceOn:    findWorkspaceOn,
   addAction:          addAction,
-  getUpdateBlocks:    getUpdateBlocks,
+  addBlockAction:     addBlockAction,
+  run:                run,
+  logError:           logError,
   addBG:              addBG,
   addFullBG:          addFullBG,
   toggleAttr:         toggleAttr,
   createAnimationArray: createAnimationArray,
-  nextAnimationIdx:   nextAnimationIdx
+  nextAnimationIdx:   nextAnimationIdx,
+  sparkline:          sparkline,
+  bar:                bar,
+  formatBytes:        formatBytes
 };
 
@@ -0,0 +1,91 @@
+'use strict';
+
+const process = require('process');
+
+const config  = require('./config');
+const ipc     = require('./ipc');
+
+// Window managers, as set by the wm setting:
+// i3 and sway over i3's IPC protocol, or any EWMH window manager (bspwm,
+// openbox...) through xprop and wmctrl
+const KINDS = ['i3', 'sway', 'ewmh'];
+
+
+// The window manager in use, guessing sway from SWAYSOCK
+function kind() {
+  let wm = config.get('wm') || (process.env.SWAYSOCK ? 'sway' : 'i3');
+  if (KINDS.indexOf(wm) === -1)
+    throw new Error(`Unknown window manager "${wm}"; expected one of: ${KINDS.join(', ')}`);
+  return wm;
+}
+
+// IPC socket of i3 or sway, or undefined to ask i3 for it
+function socketPath() {
+  return config.get('wmSocket') ||
+    (kind() === 'sway' ? process.env.SWAYSOCK : process.env.I3SOCK) ||
+    undefined;
+}
+
+// A string in an i3 command, which may hold any character
+function i3String(str) {
+  return `"${String(str).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Shell commands for i3 IPC commands, run with i3-msg or swaymsg
+function ipcCommands(msg) {
+  let run = (command) => `${msg} ${ipc.quote(command)}`,
+      on = (win, command) => run(`[con_id=${win.id}] ${command}`);
+
+  return {
+    focus:      (space) => run(`workspace ${i3String(space.name)}`),
+    move:       (space) => run(`move container to workspace ${i3String(space.name)}`),
+    next:       () => run('workspace next'),
+    prev:       () => run('workspace prev'),
+    kill:       (win) => on(win, 'kill'),
+    floating:   (win) => on(win, 'floating toggle'),
+    fullscreen: (win) => on(win, 'fullscreen toggle')
+  };
+}
+
+// EWMH desktops are numbered from 0, and there is no next or previous
+// Windows don't float, but can be kept above the others
+function ewmhCommands() {
+  let focus = (space) => `wmctrl -s ${space.num - 1}`;
+  let step = (spaces, by) => {
+    let i = spaces.findIndex((space) => space.focused);
+    return focus(spaces[(i + by + spaces.length) % spaces.length]);
+  };
+
+  let window = (win) => `0x${win.window.toString(16)}`;
+
+  return {
+    focus:      focus,
+    move:       (space) => `wmctrl -r :ACTIVE: -t ${space.num - 1}`,
+    next:       (spaces) => step(spaces, 1),
+    prev:       (spaces) => step(spaces, -1),
+    kill:       (win) => `wmctrl -i -c ${window(win)}`,
+    floating:   (win) => `wmctrl -i -r ${window(win)} -b toggle,above`,
+    fullscreen: (win) => `wmctrl -i -r ${window(win)} -b toggle,fullscreen`
+  };
+}
+
+// Click actions for the window manager in use
+// focus(space) and move(space) take a workspace, as from the workspaces
+// call; next(spaces) and prev(spaces) take all of them; kill(win),
+// floating(win) and fullscreen(win) take a window from the tree
+function commands() {
+  switch (kind()) {
+    case 'sway':
+      return ipcCommands('swaymsg');
+    case 'ewmh':
+      return ewmhCommands();
+    default:
+      return ipcCommands('i3-msg');
+  }
+}
+
+module.exports = {
+  kind:         kind,
+  socketPath:   socketPath,
+  commands:     commands
+};
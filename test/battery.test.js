@@ -0,0 +1,95 @@
+'use strict';
+
+const fs      = require('fs');
+const os      = require('os');
+const path    = require('path');
+const test    = require('node:test');
+const assert  = require('assert');
+
+const config  = require('../lib/config');
+const blocks  = require('../lib/blocks');
+const render  = require('../lib/render');
+
+let root;
+
+// Write a power supply's sysfs files under the fake sysRoot
+function supply(name, files) {
+  let dir = path.join(root, 'class', 'power_supply', name);
+  fs.mkdirSync(dir, {recursive: true});
+  Object.keys(files).forEach((file) => {
+    fs.writeFileSync(path.join(dir, file), `${files[file]}\n`);
+  });
+}
+
+// The text a battery block shows once it has read sysfs
+function shown(block, cb) {
+  block.once('update', () => {
+    cb(render.parse(block._output).map((seg) => seg.text).join(''));
+  });
+  block.once('error', (err) => assert.fail(err));
+  block.update();
+}
+
+test.beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'lemonblocks-sys-'));
+  config.update({sysRoot: root, fudgeTimeout: 0, batEach: false});
+
+  // In µWh and µW
+  supply('BAT0', {type: 'Battery', status: 'Discharging',
+                  energy_now: 30e6, energy_full: 60e6, power_now: 10e6});
+  // In µAh and µA, at 10 V: 10 Wh of 40 Wh, at 5 W
+  supply('BAT1', {type: 'Battery', status: 'Discharging',
+                  charge_now: 1e6, charge_full: 4e6, current_now: 0.5e6, voltage_now: 10e6});
+
+  // Neither counts
+  supply('AC', {type: 'Mains', online: 0});
+  supply('hidpp_battery_0', {type: 'Battery', scope: 'Device', capacity: 5});
+});
+
+test.afterEach(() => {
+  fs.rmSync(root, {recursive: true, force: true});
+});
+
+test('packs add up, with charge converted to energy', (t, done) => {
+  let block = new blocks.BatteryBlock();
+  block.format = '{percent}% {watts}W {time} {state}';
+
+  shown(block, (text) => {
+    // 40 Wh of 100 Wh, at 15 W
+    assert.strictEqual(text, '40% 15W 2.7h discharging');
+    done();
+  });
+});
+
+test('batEach shows each pack', (t, done) => {
+  config.set('batEach', true);
+  let block = new blocks.BatteryBlock();
+  block.format = '{percent} [{packs}]';
+
+  shown(block, (text) => {
+    assert.strictEqual(text, '40 [50/25]');
+    done();
+  });
+});
+
+test('charging shows the time until full', (t, done) => {
+  supply('BAT1', {status: 'Charging'});
+  let block = new blocks.BatteryBlock();
+  block.format = '{icon} {time}';
+
+  shown(block, (text) => {
+    // 60 Wh to go at 15 W
+    assert.strictEqual(text, '↑ 4.0h');
+    done();
+  });
+});
+
+test('batteries can be picked by name', (t, done) => {
+  let block = new blocks.BatteryBlock(['BAT1']);
+  block.format = '{percent}% {watts}W';
+
+  shown(block, (text) => {
+    assert.strictEqual(text, '25% 5W');
+    done();
+  });
+});
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+'use strict';
+
+// Stands in for i3's IPC socket, answering from a recording and replaying the
+// events in it, so the bar can be run or tested without i3
+// A recording is JSON: { workspaces, tree, outputs, events }, where each event
+// is { type, change, delay, ...payload } and may carry new workspaces, tree or
+// outputs, which answer calls from then on
+//
+//   test/fakes/i3.js test/recordings/session.json /tmp/i3.sock
+//
+// replays the events delay ms (500 by default) apart once the bar subscribes,
+// then keeps answering; run the bar with wmSocket set to /tmp/i3.sock
+
+const fs            = require('fs');
+const net           = require('net');
+const EventEmitter  = require('events');
+
+const MAGIC = 'i3-ipc',
+      HEADER_LENGTH = MAGIC.length + 8;
+
+// Message types, and event types, which have the high bit set
+const MESSAGES = ['command', 'workspaces', 'subscribe', 'outputs', 'tree', 'marks',
+                  'bar_config', 'version'];
+const EVENTS = ['workspace', 'output', 'mode', 'window', 'barconfig_update', 'binding'];
+
+// What events can change, and what else they carry besides their payload
+const STATE_KEYS = ['workspaces', 'tree', 'outputs'],
+      EVENT_KEYS = ['type', 'delay'].concat(STATE_KEYS);
+
+function encode(type, payload) {
+  let body = Buffer.from(JSON.stringify(payload)),
+      header = Buffer.alloc(HEADER_LENGTH);
+  header.write(MAGIC);
+  header.writeUInt32LE(body.length, MAGIC.length);
+  header.writeUInt32LE(type, MAGIC.length + 4);
+  return Buffer.concat([header, body]);
+}
+
+
+// Emits 'subscribe' when a connection first subscribes to events
+class FakeI3 extends EventEmitter {
+  constructor(recording) {
+    super();
+    this.state = {
+      workspaces: recording.workspaces || [],
+      tree:       recording.tree || {},
+      outputs:    recording.outputs || []
+    };
+    this.events = (recording.events || []).slice();
+    this.commands = [];         // Commands received, as sent
+    this.calls = {};            // Messages received, by type
+
+    this._sockets = new Set();
+    this._server = net.createServer(this._connected.bind(this));
+  }
+
+  listen(path, cb) {
+    this._server.listen(path, cb);
+  }
+
+  close(cb) {
+    this._sockets.forEach((socket) => socket.destroy());
+    this._server.close(cb);
+  }
+
+  // Send the next event to subscribers, returning false once there are none
+  step() {
+    let e = this.events.shift();
+    if (!e)
+      return false;
+
+    STATE_KEYS.forEach((key) => {
+      if (e[key] !== undefined)
+        this.state[key] = e[key];
+    });
+
+    let payload = {};
+    Object.keys(e).filter((key) => EVENT_KEYS.indexOf(key) === -1).forEach((key) => {
+      payload[key] = e[key];
+    });
+
+    let message = encode((0x80000000 | EVENTS.indexOf(e.type)) >>> 0, payload);
+    this._sockets.forEach((socket) => {
+      if (socket.subscribed.has(e.type))
+        socket.write(message);
+    });
+    return true;
+  }
+
+  // Step through the events, each delay ms after the last
+  play(cb) {
+    let next = this.events[0];
+    if (!next)
+      return cb && cb();
+
+    setTimeout(() => {
+      this.step();
+      this.play(cb);
+    }, next.delay !== undefined ? next.delay : 500);
+  }
+
+  _connected(socket) {
+    let buffer = Buffer.alloc(0);
+
+    socket.subscribed = new Set();
+    this._sockets.add(socket);
+    socket.on('close', () => this._sockets.delete(socket));
+    socket.on('error', () => {});
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length >= HEADER_LENGTH) {
+        let length = buffer.readUInt32LE(MAGIC.length),
+            type = buffer.readUInt32LE(MAGIC.length + 4);
+        if (buffer.length < HEADER_LENGTH + length)
+          break;
+
+        let body = buffer.slice(HEADER_LENGTH, HEADER_LENGTH + length).toString();
+        buffer = buffer.slice(HEADER_LENGTH + length);
+        socket.write(encode(type, this._reply(socket, MESSAGES[type], body)));
+      }
+    });
+  }
+
+  _reply(socket, message, body) {
+    this.calls[message] = (this.calls[message] || 0) + 1;
+
+    switch (message) {
+      case 'command':
+        this.commands.push(body);
+        return [{success: true}];
+      case 'subscribe': {
+        let first = !socket.subscribed.size;
+        JSON.parse(body).forEach((type) => socket.subscribed.add(type));
+        if (first)
+          setImmediate(() => this.emit('subscribe'));
+        return {success: true};
+      }
+      case 'workspaces':
+      case 'tree':
+      case 'outputs':
+        return this.state[message];
+      case 'version':
+        return {major: 4, minor: 22, patch: 0, human_readable: '4.22 (fake)'};
+      default:
+        return [];
+    }
+  }
+}
+
+
+if (require.main === module) {
+  let server = new FakeI3(JSON.parse(fs.readFileSync(process.argv[2], 'utf8'))),
+      path = process.argv[3];
+
+  fs.rmSync(path, {force: true});
+  server.listen(path);
+  server.once('subscribe', () => server.play());
+}
+
+module.exports = {
+  FakeI3:       FakeI3
+};
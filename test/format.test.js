@@ -0,0 +1,40 @@
+'use strict';
+
+const test    = require('node:test');
+const assert  = require('assert');
+
+const _       = require('lodash');
+
+const format  = require('../lib/format');
+const render  = require('../lib/render');
+
+// The text lemonbar would show for rendered markup
+function text(markup) {
+  return render.parse(markup).map((seg) => seg.text).join('');
+}
+
+test('a % after a field is a literal %', () => {
+  let markup = format.render(' cpu {usage}% ', {usage: 42});
+  assert.strictEqual(markup, ' cpu 42%% ');
+  assert.strictEqual(text(markup), ' cpu 42% ');
+});
+
+test('a literal % can come right before markup', () => {
+  let markup = format.render('{usage}%%{F#ff0000}hot%{F-}', {usage: 42}),
+      segs = render.parse(markup);
+
+  assert.strictEqual(text(markup), '42%hot');
+  assert.strictEqual(segs[segs.length - 1].text, 'hot');
+  assert.strictEqual(segs[segs.length - 1].fg, '#ff0000');
+});
+
+test('fields are escaped, markup in templates is not', () => {
+  let markup = format.render('%{F#ff0000}{title}%{F-}', {title: '%{A:reboot:}100%'});
+  assert.strictEqual(text(markup), '%{A:reboot:}100%');
+  assert.ok(render.parse(markup).every((seg) => _.isEmpty(seg.actions)));
+});
+
+test('plain text leaves % alone', () => {
+  assert.strictEqual(format.render('{percent}% of {total}', {percent: 5, total: '100%'}, true),
+                     '5% of 100%');
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const fs      = require('fs');
+const os      = require('os');
+const path    = require('path');
+const test    = require('node:test');
+const assert  = require('assert');
+
+const config  = require('../lib/config');
+const blocks  = require('../lib/blocks');
+
+const LOG = path.join(os.tmpdir(), `lemonblocks-notify-${process.pid}.log`),
+      FAKES = path.join(__dirname, 'fakes');
+
+// Notifies on warn and critical, like BatteryBlock
+class AlarmBlock extends blocks.Block {
+  _notifications() {
+    return {
+      warn:     'Low: {value}',
+      critical: {summary: 'Very low: {value}', urgency: 'critical'}
+    };
+  }
+
+  update() {
+  }
+}
+
+// Arguments of the commands run so far, once count have run or after a
+// couple of seconds
+function logged(count, cb, tries) {
+  tries = tries || 0;
+  let lines = fs.existsSync(LOG) ? fs.readFileSync(LOG, 'utf8').split('\n').filter(Boolean) : [];
+  if (lines.length < count && tries < 100)
+    return setTimeout(logged, 20, count, cb, tries + 1);
+
+  cb(lines.map((line) => line.split('|')));
+}
+
+// Notifications sent with notify-send so far, as [urgency, summary]
+function sent(count, cb) {
+  logged(count, (calls) => {
+    cb(calls.map((args) => [args[3], args[6]]));
+  });
+}
+
+test.beforeEach(() => {
+  fs.rmSync(LOG, {force: true});
+  process.env.NOTIFY_LOG = LOG;
+  config.update({
+    notify:         'notify-send',
+    notifySendCmd:  path.join(FAKES, 'notify-send'),
+    notifyInterval: 60 * 1000
+  });
+});
+
+test.after(() => {
+  fs.rmSync(LOG, {force: true});
+});
+
+test('critical notifications follow warn ones within notifyInterval', (t, done) => {
+  let block = new AlarmBlock();
+  block._transition('warn', {value: 20});
+  block._transition('critical', {value: 10});
+
+  sent(2, (notifications) => {
+    assert.deepStrictEqual(notifications.sort(), [
+      ['critical', 'Very low: 10'],
+      ['normal', 'Low: 20']
+    ]);
+    done();
+  });
+});
+
+test('each state notifies at most once per notifyInterval', (t, done) => {
+  let block = new AlarmBlock();
+  block._transition('warn', {value: 20});
+  block._transition('default', {value: 50});
+  block._transition('warn', {value: 21});
+  block._transition('critical', {value: 10});
+  block._transition('warn', {value: 22});
+
+  sent(2, () => {
+    // Anything held back would have been sent by now
+    setTimeout(() => {
+      sent(2, (notifications) => {
+        assert.deepStrictEqual(notifications.sort(), [
+          ['critical', 'Very low: 10'],
+          ['normal', 'Low: 20']
+        ]);
+        done();
+      });
+    }, 200);
+  });
+});
+
+test('notifications are plain text', (t, done) => {
+  let block = new AlarmBlock();
+  block._transition('warn', {value: '50%'});
+
+  sent(1, (notifications) => {
+    assert.deepStrictEqual(notifications, [['normal', 'Low: 50%']]);
+    done();
+  });
+});
+
+test('dbus calls Notify with GVariant text', (t, done) => {
+  let pathEnv = process.env.PATH;
+  process.env.PATH = `${FAKES}${path.delimiter}${pathEnv}`;
+  t.after(() => {
+    process.env.PATH = pathEnv;
+  });
+
+  config.update({notify: 'dbus', barName: 'bar', notifyTimeout: 5000});
+  let block = new AlarmBlock();
+  block._transition('critical', {value: '007'});
+
+  logged(1, (calls) => {
+    assert.deepStrictEqual(calls, [[
+      'call', '--session',
+      '--dest', 'org.freedesktop.Notifications',
+      '--object-path', '/org/freedesktop/Notifications',
+      '--method', 'org.freedesktop.Notifications.Notify',
+      '"bar"', '0', '""', '"Very low: 007"', '""', '[]',
+      '{"urgency": <byte 2>}', '5000'
+    ]]);
+    done();
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const fs            = require('fs');
+const os            = require('os');
+const path          = require('path');
+const test          = require('node:test');
+const assert        = require('assert');
+const childProcess  = require('child_process');
+
+const EMIT = path.join(__dirname, '..', 'emit'),
+      CTL = path.join(__dirname, '..', 'lemonblocks-ctl');
+
+let dir, bar;
+
+// Lines written to a file so far
+function lines(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+}
+
+// Call back once check(lines) holds for the lines of a file, or fail after a
+// couple of seconds
+function until(file, check, cb, tries) {
+  tries = tries || 0;
+  if (!check(lines(file)) && tries < 100)
+    return setTimeout(until, 20, file, check, cb, tries + 1);
+
+  assert.ok(check(lines(file)), `unexpected ${path.basename(file)}: ${lines(file).join(', ')}`);
+  cb();
+}
+
+function writeConfig(settings) {
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(Object.assign({
+    output:       'plain',
+    watchConfig:  false,
+    followI3Mode: false
+  }, settings)));
+}
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lemonblocks-reload-'));
+});
+
+test.afterEach(() => {
+  if (bar)
+    bar.kill();
+  bar = null;
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+// Blocks started after the bar, by switching modes, hear about changes after
+// the bar has rebuilt
+test('blocks removed by a reload stop for good', (t, done) => {
+  let runs = path.join(dir, 'runs'),
+      out = path.join(dir, 'out'),
+      socket = path.join(dir, 'bar.sock');
+
+  writeConfig({
+    refreshFreq:  100,
+    modes:        {
+      a: {left: [{type: 'StaticBlock', args: ['a ']}]},
+      b: {left: [
+        {type: 'StaticBlock', args: ['kept ']},
+        {type: 'CommandBlock', args: [`echo run >> ${runs}; echo removed`]}
+      ]}
+    }
+  });
+
+  bar = childProcess.spawn(process.execPath, [EMIT, '--config', path.join(dir, 'config.json'),
+                                              '--socket', socket],
+                           {stdio: ['ignore', fs.openSync(out, 'w'), 'ignore']});
+
+  until(out, (lines) => lines.length, () => {
+    childProcess.execFileSync(process.execPath, [CTL, '--socket', socket, 'mode', 'b']);
+
+    until(runs, (lines) => lines.length >= 2, reload);
+  });
+
+  let reload = () => {
+    // refreshFreq changes too, which restarts blocks that are still shown
+    writeConfig({
+      refreshFreq:  50,
+      modes:        {
+        a: {left: [{type: 'StaticBlock', args: ['a ']}]},
+        b: {left: [{type: 'StaticBlock', args: ['kept ']}]}
+      }
+    });
+    bar.kill('SIGHUP');
+
+    until(out, (lines) => lines[lines.length - 1] === 'kept ', () => {
+      // A command already running may still finish
+      setTimeout(() => {
+        let count = lines(runs).length;
+        setTimeout(() => {
+          assert.strictEqual(lines(runs).length, count);
+          done();
+        }, 500);
+      }, 200);
+    });
+  };
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const fs      = require('fs');
+const os      = require('os');
+const path    = require('path');
+const test    = require('node:test');
+const assert  = require('assert');
+
+const _       = require('lodash');
+
+const config  = require('../lib/config');
+const clients = require('../lib/clients');
+const blocks  = require('../lib/blocks');
+const wm      = require('../lib/wm');
+const render  = require('../lib/render');
+const FakeI3  = require('./fakes/i3').FakeI3;
+
+const SOCKET = path.join(os.tmpdir(), `lemonblocks-i3-${process.pid}.sock`);
+
+let server = new FakeI3(JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'recordings', 'session.json'), 'utf8')));
+
+// The text a block shows
+function text(block) {
+  return render.parse(block.query()).map((seg) => seg.text).join('');
+}
+
+// Call back once each block shows its text, or fail after a couple of seconds
+function shows(expected, cb, tries) {
+  tries = tries || 0;
+  let shown = expected.map((pair) => text(pair[0]));
+  if (tries < 100 && !_.isEqual(shown, expected.map((pair) => pair[1])))
+    return setTimeout(shows, 20, expected, cb, tries + 1);
+
+  assert.deepStrictEqual(shown, expected.map((pair) => pair[1]));
+  cb();
+}
+
+let spaces, title, mode;
+
+test.before((t, done) => {
+  fs.rmSync(SOCKET, {force: true});
+  config.update({
+    wm:         'i3',
+    wmSocket:   SOCKET,
+    wsIcons:    true,
+    wsIconMap:  {firefox: 'F', urxvt: '$', emacs: 'E'},
+    formats:    {TitleBlock: ' {title} '}
+  });
+
+  spaces = new blocks.WorkspaceBlock();
+  title = new blocks.TitleBlock();
+  mode = new blocks.I3ModeBlock();
+
+  server.listen(SOCKET, () => {
+    server.once('subscribe', () => done());
+    [spaces, title, mode].forEach((block) => block.start());
+  });
+});
+
+test.after(() => {
+  [spaces, title, mode].forEach((block) => block.stop());
+  clients.wm.stop();
+  server.close();
+});
+
+test('blocks show what i3 starts with', (t, done) => {
+  shows([
+    [spaces, ' web F  term $ '],
+    [title, ' lemonblocks - GitHub — Mozilla Firefox '],
+    [mode, '']
+  ], done);
+});
+
+test('title changes only refetch the title', (t, done) => {
+  let trees = server.calls.tree,
+      workspaces = server.calls.workspaces;
+  server.step();
+
+  shows([[title, ' Issues · lemonblocks — Mozilla Firefox ']], () => {
+    // TitleBlock asks for the tree, WorkspaceBlock asks for nothing
+    setTimeout(() => {
+      assert.strictEqual(server.calls.tree, trees + 1);
+      assert.strictEqual(server.calls.workspaces, workspaces);
+      done();
+    }, 100);
+  });
+});
+
+test('switching workspaces', (t, done) => {
+  server.step();
+  server.step();
+
+  shows([
+    [spaces, ' web F  term $ '],
+    [title, ' ~ ']
+  ], done);
+});
+
+test('new windows show on their workspace', (t, done) => {
+  server.step();
+
+  shows([
+    [spaces, ' web F  term E $ '],
+    [title, ' *scratch* ']
+  ], done);
+});
+
+test('binding modes come and go', (t, done) => {
+  server.step();
+
+  shows([[mode, ' resize ']], () => {
+    server.step();
+    shows([[mode, '']], done);
+  });
+});
+
+test('closed windows leave their workspace', (t, done) => {
+  server.step();
+
+  shows([
+    [spaces, ' web F  term $ '],
+    [title, ' ~ ']
+  ], () => {
+    assert.strictEqual(server.step(), false);
+    done();
+  });
+});
+
+test('workspace names are quoted for the shell and for i3', () => {
+  let commands = wm.commands(),
+      space = {name: `it's "$(home)" \\`};
+
+  assert.strictEqual(commands.focus(space),
+                     `i3-msg 'workspace "it'\\''s \\"$(home)\\" \\\\"'`);
+  assert.strictEqual(commands.move(space),
+                     `i3-msg 'move container to workspace "it'\\''s \\"$(home)\\" \\\\"'`);
+});
+
+test('window actions are one shell argument', () => {
+  assert.strictEqual(wm.commands().kill({id: 94}), `i3-msg '[con_id=94] kill'`);
+});